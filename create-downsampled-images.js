@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const { THUMBNAIL_SIZE, getThumbnailFilename, isDerivedImage } = require('./lib/image-paths');
 
 // Configuration
 const DOWNSAMPLED_SUFFIX = '_2x';
@@ -38,6 +39,36 @@ function hasDownsampledVersion(filePath) {
   return fs.existsSync(downsampledPath);
 }
 
+// Check if gallery thumbnail already exists
+function hasThumbnail(filePath) {
+  const thumbnailPath = path.join(path.dirname(filePath), getThumbnailFilename(path.basename(filePath)));
+  return fs.existsSync(thumbnailPath);
+}
+
+// Create gallery thumbnail of an image (<name>_thumb.jpg, served by /api/thumbnail)
+async function createThumbnailImage(sourcePath) {
+  const targetPath = path.join(path.dirname(sourcePath), getThumbnailFilename(path.basename(sourcePath)));
+  
+  try {
+    const info = await sharp(sourcePath)
+      .rotate() // Thumbnails are shown as-is, so bake in EXIF orientation
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .jpeg({
+        quality: 80,
+        progressive: true,
+        mozjpeg: true
+      })
+      .toFile(targetPath);
+    
+    return { success: true, path: targetPath, size: info.size, dimensions: `${info.width}x${info.height}` };
+  } catch (error) {
+    return { success: false, error: error.message, path: sourcePath };
+  }
+}
+
 // Create downsampled version of an image
 async function createDownsampledImage(sourcePath, options = {}) {
   const dir = path.dirname(sourcePath);
@@ -93,16 +124,34 @@ async function createDownsampledImage(sourcePath, options = {}) {
   }
 }
 
-// Process a directory recursively
+// Process a directory recursively, including the vegetation-filtered images in the
+// datasets' no_veg_filter subfolders. Besides the command line options, the server's
+// job queue passes onProgress({ done, total, file }), an AbortSignal to stop early and
+// onFailure({ path, error }) to report failed files itself instead of on the console.
 async function processDirectory(dirPath, options = {}) {
   const results = {
     processed: 0,
     skipped: 0,
     errors: 0,
+    thumbnails: 0,
     totalOriginalSize: 0,
-    totalDownsampledSize: 0
+    totalDownsampledSize: 0,
+    failures: []
   };
   
+  // Failed files are always returned in results.failures, whether or not output is quiet
+  const recordFailure = (failure, label) => {
+    results.errors++;
+    results.failures.push(failure);
+    if (options.onFailure) {
+      options.onFailure(failure);
+    } else {
+      console.error(`${colors.red}✗ Error:${colors.reset} ${failure.path}${label} - ${failure.error}`);
+    }
+  };
+  
+  // Collect the source images first so progress can be reported against a total
+  const files = [];
   async function walkDir(currentPath) {
     const entries = await fs.promises.readdir(currentPath, { withFileTypes: true });
     
@@ -112,48 +161,82 @@ async function processDirectory(dirPath, options = {}) {
       if (entry.isDirectory()) {
         await walkDir(fullPath);
       } else if (entry.isFile() && isImageFile(entry.name)) {
-        // Skip if it's already a downsampled image
-        if (entry.name.includes(DOWNSAMPLED_SUFFIX)) {
+        // Skip if it's already a downsampled image or a thumbnail
+        if (entry.name.includes(DOWNSAMPLED_SUFFIX) || isDerivedImage(entry.name)) {
           continue;
         }
-        
-        // Check if downsampled version already exists
-        if (hasDownsampledVersion(fullPath) && !options.force) {
+        files.push(fullPath);
+      }
+    }
+  }
+  
+  async function processFile(fullPath) {
+    // Gallery thumbnails are created alongside the downsampled versions
+    if (options.thumbnails && (!hasThumbnail(fullPath) || options.force)) {
+      if (!options.dryRun) {
+        const thumbnail = await createThumbnailImage(fullPath);
+        if (thumbnail.success) {
+          results.thumbnails++;
           if (!options.quiet) {
-            console.log(`${colors.yellow}⊝ Skipped:${colors.reset} ${fullPath} ${colors.dim}(downsampled version exists)${colors.reset}`);
+            console.log(`${colors.green}✓ Thumbnail:${colors.reset} ${thumbnail.path} ${colors.dim}(${thumbnail.dimensions})${colors.reset}`);
           }
-          results.skipped++;
-          continue;
+        } else {
+          recordFailure({ path: thumbnail.path, error: thumbnail.error }, ' (thumbnail)');
         }
+      } else {
+        console.log(`${colors.blue}◯ Would create thumbnail:${colors.reset} ${fullPath}`);
+        results.thumbnails++;
+      }
+    }
+    
+    // Check if downsampled version already exists
+    if (hasDownsampledVersion(fullPath) && !options.force) {
+      if (!options.quiet) {
+        console.log(`${colors.yellow}⊝ Skipped:${colors.reset} ${fullPath} ${colors.dim}(downsampled version exists)${colors.reset}`);
+      }
+      results.skipped++;
+      return;
+    }
+    
+    // Create downsampled version
+    if (!options.dryRun) {
+      const result = await createDownsampledImage(fullPath, options);
+      
+      if (result.success) {
+        results.processed++;
+        results.totalOriginalSize += result.original.size;
+        results.totalDownsampledSize += result.downsampled.size;
         
-        // Create downsampled version
-        if (!options.dryRun) {
-          const result = await createDownsampledImage(fullPath, options);
-          
-          if (result.success) {
-            results.processed++;
-            results.totalOriginalSize += result.original.size;
-            results.totalDownsampledSize += result.downsampled.size;
-            
-            if (!options.quiet) {
-              console.log(`${colors.green}✓ Processed:${colors.reset} ${result.original.path}`);
-              console.log(`  ${colors.dim}Original: ${result.original.dimensions} (${formatBytes(result.original.size)})${colors.reset}`);
-              console.log(`  ${colors.dim}Downsampled: ${result.downsampled.dimensions} (${formatBytes(result.downsampled.size)}) -${result.downsampled.reduction}%${colors.reset}`);
-            }
-          } else {
-            results.errors++;
-            console.error(`${colors.red}✗ Error:${colors.reset} ${result.path} - ${result.error}`);
-          }
-        } else {
-          // Dry run - just show what would be done
-          console.log(`${colors.blue}◯ Would process:${colors.reset} ${fullPath}`);
-          results.processed++;
+        if (!options.quiet) {
+          console.log(`${colors.green}✓ Processed:${colors.reset} ${result.original.path}`);
+          console.log(`  ${colors.dim}Original: ${result.original.dimensions} (${formatBytes(result.original.size)})${colors.reset}`);
+          console.log(`  ${colors.dim}Downsampled: ${result.downsampled.dimensions} (${formatBytes(result.downsampled.size)}) -${result.downsampled.reduction}%${colors.reset}`);
         }
+      } else {
+        recordFailure({ path: result.path, error: result.error }, '');
       }
+    } else {
+      // Dry run - just show what would be done
+      console.log(`${colors.blue}◯ Would process:${colors.reset} ${fullPath}`);
+      results.processed++;
     }
   }
   
   await walkDir(dirPath);
+  if (options.onProgress) {
+    options.onProgress({ done: 0, total: files.length, file: null });
+  }
+  
+  for (const [index, fullPath] of files.entries()) {
+    if (options.signal && options.signal.aborted) {
+      break;
+    }
+    await processFile(fullPath);
+    if (options.onProgress) {
+      options.onProgress({ done: index + 1, total: files.length, file: fullPath });
+    }
+  }
+  
   return results;
 }
 
@@ -176,7 +259,8 @@ async function main() {
   const options = {
     dryRun: args.includes('--dry-run'),
     force: args.includes('--force'),
-    quiet: args.includes('--quiet')
+    quiet: args.includes('--quiet'),
+    thumbnails: !args.includes('--no-thumbnails')
   };
   
   if (args.includes('--help')) {
@@ -185,6 +269,7 @@ async function main() {
     console.log('  --dry-run    Show what would be done without actually doing it');
     console.log('  --force      Recreate downsampled images even if they exist');
     console.log('  --quiet      Suppress detailed output');
+    console.log('  --no-thumbnails  Do not create gallery thumbnails');
     console.log('  --help       Show this help message');
     return;
   }
@@ -197,6 +282,7 @@ async function main() {
     processed: 0,
     skipped: 0,
     errors: 0,
+    thumbnails: 0,
     totalOriginalSize: 0,
     totalDownsampledSize: 0
   };
@@ -211,6 +297,7 @@ async function main() {
       overallResults.processed += results.processed;
       overallResults.skipped += results.skipped;
       overallResults.errors += results.errors;
+      overallResults.thumbnails += results.thumbnails;
       overallResults.totalOriginalSize += results.totalOriginalSize;
       overallResults.totalDownsampledSize += results.totalDownsampledSize;
     } else {
@@ -223,6 +310,7 @@ async function main() {
   console.log('=======');
   console.log(`${colors.green}✓ Processed:${colors.reset} ${overallResults.processed} images`);
   console.log(`${colors.yellow}⊝ Skipped:${colors.reset} ${overallResults.skipped} images`);
+  console.log(`${colors.green}✓ Thumbnails:${colors.reset} ${overallResults.thumbnails} images`);
   if (overallResults.errors > 0) {
     console.log(`${colors.red}✗ Errors:${colors.reset} ${overallResults.errors} images`);
   }
@@ -239,5 +327,13 @@ async function main() {
   console.log(`\nTotal time: ${totalTime.toFixed(2)} seconds`);
 }
 
-// Run the script
-main().catch(console.error);
\ No newline at end of file
+// Run the script (the server reuses the helpers for uploaded datasets)
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = {
+  createDownsampledImage,
+  createThumbnailImage,
+  processDirectory
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Roles, from most to least privileged. Admins have every project; everyone else only
+// the projects granted to them (or all of them with the "*" grant).
+const ROLES = ['admin', 'reviewer', 'viewer', 'guest'];
+
+const ALL_PROJECTS = '*';
+
+// What each role may do in its projects:
+// - view: dataset lists, downsampled (_2x) images, thumbnails, statistics, _2x downloads
+// - fullResolution: original images, deep-zoom tiles and full resolution downloads
+// - manage: uploading image pairs and running derivative jobs
+const ROLE_PERMISSIONS = {
+  admin: ['view', 'fullResolution', 'manage'],
+  reviewer: ['view', 'fullResolution', 'manage'],
+  viewer: ['view', 'fullResolution'],
+  guest: ['view']
+};
+
+const canAccessProject = (user, projectId) =>
+  Boolean(user) && (user.role === 'admin' || user.projects.includes(ALL_PROJECTS) || user.projects.includes(projectId));
+
+// Whether a user has a permission in a project
+const can = (user, permission, projectId) =>
+  canAccessProject(user, projectId) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Whether a user has a permission in at least one of the given projects
+const canInAny = (user, permission, projectIds) => projectIds.some(projectId => can(user, permission, projectId));
+
+module.exports = {
+  ROLES,
+  ALL_PROJECTS,
+  ROLE_PERMISSIONS,
+  canAccessProject,
+  can,
+  canInAny
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { readJsonFileSync, writeJsonFileSync } = require('./json-file');
+
+// Tokens look like "svt_<43 characters>"; the prefix makes them easy to recognise
+// (and to search for in code that should not contain them)
+const TOKEN_PREFIX = 'svt_';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TOKENS_PER_USER = 50;
+
+// Last use is written to the file at most this often per token
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+// Tokens are 256 random bits, so a plain SHA-256 is enough to store them; unlike
+// passwords they cannot be guessed from a dictionary
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Personal API tokens in a JSON file ({ "tokens": [{ id, username, name, hash, ... }] }).
+// Only the hash of a token is kept; the token itself is shown once, when it is created.
+// Like UserStore, the file is re-read whenever it changes on disk.
+class ApiTokenStore {
+  constructor(file) {
+    this.file = file;
+    this.tokens = new Map(); // id -> stored token
+    this.loadedVersion = null; // mtime and size of the file as last read
+  }
+
+  load() {
+    const { changed, version, data } = readJsonFileSync(this.file, this.loadedVersion, 'API tokens');
+    if (changed) {
+      this.tokens = new Map(((data && data.tokens) || []).map(token => [token.id, token]));
+      this.loadedVersion = version;
+    }
+    return this.tokens;
+  }
+
+  save() {
+    const tokens = [...this.tokens.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    this.loadedVersion = writeJsonFileSync(this.file, { tokens });
+  }
+
+  // A user's tokens without their hashes, newest first
+  list(username) {
+    return [...this.load().values()]
+      .filter(token => token.username === username)
+      .map(ApiTokenStore.toPublic)
+      .reverse();
+  }
+
+  // Returns the new token's details and, only this once, the token itself
+  create(username, { name, expiresInDays = null } = {}) {
+    const label = String(name || '').trim();
+    if (!label || label.length > MAX_NAME_LENGTH) {
+      throw new Error(`Token names are 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+      throw new Error('Tokens expire after 1 to 3650 days, or never');
+    }
+    if (this.list(username).length >= MAX_TOKENS_PER_USER) {
+      throw new Error(`No more than ${MAX_TOKENS_PER_USER} tokens per user; revoke unused ones first`);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username,
+      name: label,
+      hash: hashToken(token),
+      hint: `${token.slice(0, TOKEN_PREFIX.length + 4)}…`,
+      createdAt: now.toISOString(),
+      expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null
+    };
+    this.tokens.set(record.id, record);
+    this.save();
+    return { ...ApiTokenStore.toPublic(record), token };
+  }
+
+  // The stored token for a token string, or null if it is unknown or expired. Records
+  // when it was last used.
+  authenticate(token) {
+    if (!String(token).startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+    const hash = hashToken(token);
+    const record = [...this.load().values()].find(candidate => candidate.hash === hash);
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      this.save();
+    }
+    return ApiTokenStore.toPublic(record);
+  }
+
+  // Revoke one of a user's tokens; returns false if they have no token with that id
+  revoke(username, id) {
+    const token = this.load().get(id);
+    if (!token || token.username !== username) {
+      return false;
+    }
+    this.tokens.delete(id);
+    this.save();
+    return true;
+  }
+
+  // Revoke all of a user's tokens (when the account is removed); returns how many there were
+  revokeAll(username) {
+    const ids = [...this.load().values()].filter(token => token.username === username).map(token => token.id);
+    ids.forEach(id => this.tokens.delete(id));
+    if (ids.length) {
+      this.save();
+    }
+    return ids.length;
+  }
+
+  static toPublic({ hash, ...token }) {
+    return token;
+  }
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  ApiTokenStore
+};
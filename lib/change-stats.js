@@ -0,0 +1,99 @@
+const sharp = require('sharp');
+const { memoizeByFile } = require('./file-memo');
+
+// Raw 8-bit histograms are cached per file; bins, thresholds and value ranges are
+// applied per request on top of them
+const MAX_CACHE_ENTRIES = 2000; // Enough to score every dataset of the larger projects
+
+// Count every 8-bit value of a change map. Fully transparent pixels (masked areas)
+// are counted separately and left out of the statistics.
+const readChangeHistogram = memoizeByFile(async (fullPath) => {
+  // greyscale() leaves no alpha channel (ensureAlpha() after it adds an opaque one), so
+  // the alpha channel of maps that have one is read on its own
+  const image = sharp(fullPath);
+  const { hasAlpha, channels } = await image.metadata();
+  const [{ data, info }, alpha] = await Promise.all([
+    image.clone().removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true }),
+    hasAlpha ? image.clone().extractChannel(channels - 1).raw().toBuffer() : null
+  ]);
+
+  const counts = new Array(256).fill(0);
+  let masked = 0;
+  for (let i = 0, pixel = 0; i < data.length; i += info.channels, pixel++) {
+    if (alpha && alpha[pixel] === 0) {
+      masked++;
+    } else {
+      counts[data[i]]++;
+    }
+  }
+
+  return { counts, masked, width: info.width, height: info.height };
+}, { maxEntries: MAX_CACHE_ENTRIES });
+
+// Map 8-bit pixel values linearly onto a [min, max] coefficient range
+const pixelToValue = ([min, max], pixel) => min + (pixel / 255) * (max - min);
+
+// Number of unmasked pixels whose coefficient is below a threshold
+const countBelow = (counts, valueRange, threshold) => counts.reduce(
+  (acc, count, pixel) => (pixelToValue(valueRange, pixel) < threshold ? acc + count : acc), 0);
+
+// Turn a raw histogram into SSI statistics. Pixel values 0-255 map linearly onto
+// valueRange; fractions below each threshold are of the unmasked pixels.
+const summarizeHistogram = ({ counts, masked }, { valueRange, bins, thresholds }) => {
+  const [min, max] = valueRange;
+  const toValue = (pixel) => pixelToValue(valueRange, pixel);
+  const total = counts.reduce((sum, count) => sum + count, 0);
+
+  let sum = 0;
+  let sumSquares = 0;
+  let median = null;
+  let seen = 0;
+  counts.forEach((count, pixel) => {
+    const value = toValue(pixel);
+    sum += value * count;
+    sumSquares += value * value * count;
+    seen += count;
+    if (median === null && seen >= total / 2 && total > 0) {
+      median = value;
+    }
+  });
+
+  const mean = total > 0 ? sum / total : null;
+  const stdDev = total > 0 ? Math.sqrt(Math.max(0, sumSquares / total - mean * mean)) : null;
+
+  // Re-bin the 256 pixel values into `bins` equal-width bins over valueRange
+  const binCounts = new Array(bins).fill(0);
+  counts.forEach((count, pixel) => {
+    binCounts[Math.min(bins - 1, Math.floor((pixel / 256) * bins))] += count;
+  });
+
+  return {
+    valueRange: [min, max],
+    pixels: total,
+    maskedPixels: masked,
+    mean,
+    median,
+    stdDev,
+    histogram: {
+      edges: Array.from({ length: bins + 1 }, (_, index) => min + (index / bins) * (max - min)),
+      counts: binCounts
+    },
+    thresholds: thresholds.map(threshold => {
+      const below = countBelow(counts, valueRange, threshold);
+      return { value: threshold, pixels: below, fraction: total > 0 ? below / total : null };
+    })
+  };
+};
+
+// Single change score for sorting datasets: the fraction of unmasked pixels below
+// the score threshold (low similarity = changed), or null for fully masked maps
+const changeScore = ({ counts }, { valueRange, scoreThreshold }) => {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  return total > 0 ? countBelow(counts, valueRange, scoreThreshold) / total : null;
+};
+
+module.exports = {
+  readChangeHistogram,
+  summarizeHistogram,
+  changeScore
+};
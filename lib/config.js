@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+// The placeholder secret older .env files were written with; refused in production
+const DEFAULT_SESSION_SECRET = 'your-secret-key';
+
+// Optional JSON file with the same keys as the config object below (e.g.
+// { "port": 8080, "session": { "maxAgeHours": 12 } }); environment variables win
+const DEFAULT_CONFIG_FILE = path.join(APP_ROOT, 'config', 'server.json');
+
+// Value parsers: each gets an environment string or a config file value and returns
+// the parsed value, or throws with what was expected
+const integer = (min, max) => (value) => {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const positiveNumber = (value) => {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error('must be a positive number');
+  }
+  return number;
+};
+
+const string = (value) => String(value).trim();
+
+const oneOf = (...choices) => (value) => {
+  const choice = String(value).trim().toLowerCase();
+  if (!choices.includes(choice)) {
+    throw new Error(`must be one of ${choices.join(', ')}`);
+  }
+  return choice;
+};
+
+// Relative paths are relative to the application directory, not the working directory
+const directory = (value) => path.resolve(APP_ROOT, String(value).trim());
+
+const booleanOrAuto = (value) => {
+  const choice = oneOf('true', 'false', 'auto')(value);
+  return choice === 'auto' ? 'auto' : choice === 'true';
+};
+
+// Express "trust proxy": true/false, a number of proxy hops, or addresses/subnets such as "loopback"
+const trustProxy = (value) => {
+  const setting = String(value).trim();
+  if (setting === 'true' || setting === 'false') return setting === 'true';
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting;
+};
+
+const isOrigin = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === value;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Comma-separated (or, in the config file, a list of) origins such as https://viewer.example.org
+const originList = (value) => {
+  const origins = (Array.isArray(value) ? value : String(value).split(','))
+    .map(origin => String(origin).trim())
+    .filter(Boolean);
+  if (!origins.every(isOrigin)) {
+    throw new Error('must be origins like https://example.org, without a path or trailing slash');
+  }
+  return origins;
+};
+
+// Every setting: where it lives in the config object (and config file), its
+// environment variable, its default and its parser
+const SETTINGS = [
+  { key: 'env', env: 'NODE_ENV', default: 'development', parse: string },
+  { key: 'port', env: 'PORT', default: 3000, parse: integer(1, 65535) },
+  { key: 'bindAddress', env: 'BIND_ADDRESS', default: '0.0.0.0', parse: string },
+  { key: 'trustProxy', env: 'TRUST_PROXY', default: false, parse: trustProxy },
+  { key: 'dataDir', env: 'DATA_DIR', default: APP_ROOT, parse: directory },
+  { key: 'projectsConfig', env: 'PROJECTS_CONFIG', default: path.join(APP_ROOT, 'config', 'projects.json'), parse: directory },
+  { key: 'corsOrigins', env: 'CORS_ORIGINS', default: [], parse: originList },
+  { key: 'contentSecurityPolicy', env: 'CSP_MODE', default: 'enforce', parse: oneOf('enforce', 'report-only', 'off') },
+  { key: 'session.secret', env: 'SESSION_SECRET', default: DEFAULT_SESSION_SECRET, parse: string },
+  { key: 'session.cookieSecure', env: 'COOKIE_SECURE', default: 'auto', parse: booleanOrAuto },
+  { key: 'session.maxAgeHours', env: 'SESSION_MAX_AGE_HOURS', default: 24, parse: positiveNumber },
+  { key: 'session.directory', env: 'SESSION_DIR', default: path.join(APP_ROOT, 'sessions'), parse: directory },
+  { key: 'usersFile', env: 'USERS_FILE', default: path.join(APP_ROOT, 'config', 'users.json'), parse: directory },
+  { key: 'apiTokensFile', env: 'API_TOKENS_FILE', default: path.join(APP_ROOT, 'config', 'api-tokens.json'), parse: directory },
+  { key: 'login.username', env: 'LOGIN_USERNAME', default: null, parse: string },
+  { key: 'login.password', env: 'LOGIN_PASSWORD', default: null, parse: String },
+  { key: 'loginThrottle.maxFailures', env: 'LOGIN_MAX_FAILURES', default: 5, parse: integer(1, 1000) },
+  { key: 'loginThrottle.maxFailuresPerIp', env: 'LOGIN_MAX_FAILURES_PER_IP', default: 20, parse: integer(1, 10000) },
+  { key: 'loginThrottle.lockoutMinutes', env: 'LOGIN_LOCKOUT_MINUTES', default: 15, parse: positiveNumber },
+  { key: 'imageCache.directory', env: 'IMAGE_CACHE_DIR', default: path.join(APP_ROOT, '.cache', 'images'), parse: directory },
+  { key: 'imageCache.maxMb', env: 'IMAGE_CACHE_MAX_MB', default: 2048, parse: positiveNumber },
+  { key: 'imageFormats', env: 'IMAGE_FORMATS', default: 'webp,avif', parse: string },
+  { key: 'tileCache.directory', env: 'TILE_CACHE_DIR', default: path.join(APP_ROOT, '.cache', 'tiles'), parse: directory },
+  { key: 'tileCache.maxMb', env: 'TILE_CACHE_MAX_MB', default: 4096, parse: positiveNumber },
+  { key: 'uploads.directory', env: 'UPLOAD_TMP_DIR', default: path.join(APP_ROOT, '.cache', 'uploads'), parse: directory },
+  { key: 'uploads.maxMb', env: 'UPLOAD_MAX_MB', default: 1024, parse: positiveNumber },
+  { key: 'jobs.concurrency', env: 'JOB_CONCURRENCY', default: 1, parse: integer(1, 64) },
+  { key: 'metricsToken', env: 'METRICS_TOKEN', default: null, parse: string },
+  { key: 'log.level', env: 'LOG_LEVEL', default: 'info', parse: oneOf('fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent') },
+  { key: 'log.file', env: 'LOG_FILE', default: null, parse: directory },
+  { key: 'log.rotateFrequency', env: 'LOG_ROTATE_FREQUENCY', default: 'daily', parse: oneOf('daily', 'hourly') },
+  { key: 'log.maxSize', env: 'LOG_MAX_SIZE', default: '50m', parse: (value) => {
+    const size = String(value).trim().toLowerCase();
+    if (!/^\d+[kmg]?$/.test(size)) throw new Error('must be a size such as 500k, 50m or 1g');
+    return size;
+  } },
+  { key: 'log.maxFiles', env: 'LOG_MAX_FILES', default: 14, parse: integer(1, 1000) }
+];
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((parent, part) => (parent[part] = parent[part] || {}), object);
+  target[last] = value;
+};
+
+const readConfigFile = (configFile, explicit) => {
+  if (!fs.existsSync(configFile)) {
+    if (explicit) throw new Error(`CONFIG_FILE ${configFile} does not exist`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`${configFile} is not valid JSON (${error.message})`);
+  }
+};
+
+// Read the configuration from the environment (after loading .env), the optional
+// config file and the defaults, in that order of precedence. Throws one error
+// listing every problem, so a misconfigured server refuses to start.
+const loadConfig = (env = process.env) => {
+  const explicitFile = Boolean(env.CONFIG_FILE);
+  const configFile = explicitFile ? path.resolve(APP_ROOT, env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+  const file = readConfigFile(configFile, explicitFile);
+
+  const config = {};
+  const problems = [];
+  for (const setting of SETTINGS) {
+    const envValue = env[setting.env];
+    const fileValue = getPath(file, setting.key);
+    const [source, raw] = envValue !== undefined && envValue !== ''
+      ? [setting.env, envValue]
+      : fileValue !== undefined && fileValue !== null ? [`${setting.key} in ${configFile}`, fileValue] : [null, setting.default];
+
+    try {
+      setPath(config, setting.key, raw === null || source === null ? raw : setting.parse(raw));
+    } catch (error) {
+      problems.push(`${source} ${error.message} (got ${JSON.stringify(raw)})`);
+    }
+  }
+
+  config.production = config.env === 'production';
+  config.session.maxAge = config.session.maxAgeHours * 60 * 60 * 1000;
+  config.loginThrottle.lockoutMs = config.loginThrottle.lockoutMinutes * 60 * 1000;
+  config.imageCache.maxBytes = config.imageCache.maxMb * 1024 * 1024;
+  config.tileCache.maxBytes = config.tileCache.maxMb * 1024 * 1024;
+  config.uploads.maxBytes = config.uploads.maxMb * 1024 * 1024;
+
+  if (Boolean(config.login.username) !== Boolean(config.login.password)) {
+    problems.push('LOGIN_USERNAME and LOGIN_PASSWORD must be set together');
+  }
+  if (config.production && config.session.secret === DEFAULT_SESSION_SECRET) {
+    problems.push('SESSION_SECRET must be set to a random value in production (NODE_ENV=production)');
+  } else if (config.production && config.session.secret.length < 32) {
+    problems.push('SESSION_SECRET should be at least 32 characters in production');
+  }
+  if (!fs.existsSync(config.dataDir) || !fs.statSync(config.dataDir).isDirectory()) {
+    problems.push(`DATA_DIR ${config.dataDir} is not a directory`);
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+  return config;
+};
+
+dotenv.config({ path: path.join(APP_ROOT, '.env'), quiet: true });
+
+module.exports = loadConfig();
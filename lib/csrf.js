@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Requests that change nothing and so need no token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Pages send the token in this header; a form on another site cannot set headers
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// The session's CSRF token, created the first time it is asked for. It lives as long
+// as the session, which gets a new one on login (see regenerate in server.js).
+const csrfToken = (session) => {
+  if (!session.csrfToken) {
+    session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return session.csrfToken;
+};
+
+const tokensMatch = (expected, actual) => {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(actual || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Refuses state-changing requests (POST, PUT, PATCH, DELETE) that do not carry the
+// session's token, so other sites cannot make a logged-in browser log in, log out,
+// upload or start jobs. Requests with an API token (req.apiToken) need none: browsers
+// never add that header by themselves.
+const verifyCsrfToken = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || req.apiToken) {
+    return next();
+  }
+  if (!tokensMatch(req.session?.csrfToken, req.get(CSRF_HEADER))) {
+    req.log.warn({ event: 'csrf_rejected', user: req.user?.username || null }, 'Request without a valid CSRF token');
+    // public/csrf.js recognises this error by "CSRF token" and retries with a new token
+    return res.status(403).json({ error: 'Missing or invalid CSRF token, reload the page and try again' });
+  }
+  next();
+};
+
+module.exports = {
+  CSRF_HEADER,
+  csrfToken,
+  verifyCsrfToken
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { VEG_FILTER_FOLDER } = require('./image-paths');
+
+// Which files go into a download: full resolution, the _2x versions, or full
+// resolution with change maps taken from the vegetation-filtered folder
+const ARCHIVE_VARIANTS = ['full', '2x', 'vegFilter'];
+
+// List the acquisitions and change maps of a dataset for an archive variant, as
+// { role, name, segments, resolution, date | from/to } with URL-style path segments
+const listDatasetFiles = (project, dataset, variant) => {
+  const base = [...project.dataRoot.split('/'), dataset.id];
+  const resolution = variant === '2x' ? '2x' : undefined;
+
+  const files = dataset.epochs.map((epoch, index) => ({
+    role: index === 0 ? 'pre' : index === dataset.epochs.length - 1 ? 'post' : 'epoch',
+    filename: epoch.filename,
+    segments: [...base, epoch.filename],
+    resolution,
+    date: epoch.date
+  }));
+
+  for (const changeMap of dataset.changeMaps) {
+    const useVegFilter = variant === 'vegFilter' && Boolean(changeMap.urls.vegFilter);
+    files.push({
+      role: 'change',
+      filename: changeMap.filename,
+      segments: [...base, ...(useVegFilter ? [VEG_FILTER_FOLDER] : []), changeMap.filename],
+      resolution,
+      from: dataset.epochs[changeMap.from]?.date ?? changeMap.from,
+      to: dataset.epochs[changeMap.to]?.date ?? changeMap.to,
+      vegetationFiltered: useVegFilter
+    });
+  }
+
+  return files;
+};
+
+// Stream a ZIP of the given datasets to res: one folder per dataset plus a
+// manifest.json describing every file. Images are stored without compression
+// (they are compressed already). Files that cannot be found are listed in the
+// manifest as missing instead of failing the whole download.
+const streamDatasetArchive = async (req, res, { project, datasets, variant, resolveImage, filename }) => {
+  const entries = [];
+  const manifest = {
+    project: { id: project.id, label: project.label },
+    variant,
+    createdAt: new Date().toISOString(),
+    datasets: []
+  };
+
+  // Resolve everything first so the manifest is complete before streaming starts
+  for (const dataset of datasets) {
+    const datasetEntry = { id: dataset.id, metadata: dataset.metadata || {}, files: [], missing: [] };
+
+    for (const file of listDatasetFiles(project, dataset, variant)) {
+      const { segments, resolution, ...details } = file;
+      const resolved = await resolveImage(segments, resolution);
+      const stats = resolved.fullPath && await fs.promises.stat(resolved.fullPath).catch(() => null);
+
+      if (!stats || !stats.isFile()) {
+        datasetEntry.missing.push({ ...details, source: segments.join('/') });
+        continue;
+      }
+
+      if (resolved.fallback) {
+        details.vegetationFiltered = false; // No filtered version, the unfiltered map was used
+        req.log.warn({ event: 'vegetation_filter_fallback', image: segments.join('/') },
+          'Vegetation filter image not found, archiving the unfiltered version');
+      }
+      const name = `${dataset.id}/${path.basename(resolved.fullPath)}`;
+      entries.push({ path: resolved.fullPath, name, date: stats.mtime });
+      datasetEntry.files.push({ ...details, path: name, bytes: stats.size });
+    }
+
+    manifest.datasets.push(datasetEntry);
+  }
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  const archive = archiver('zip', { store: true });
+  archive.on('warning', (error) => req.log.warn({ err: error }, 'Archive warning'));
+  archive.on('error', (error) => {
+    req.log.error({ err: error }, 'Archive error');
+    res.destroy(error); // Headers are already sent, so the client sees a truncated download
+  });
+  req.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+
+  archive.pipe(res);
+  for (const entry of entries) {
+    archive.file(entry.path, { name: entry.name, date: entry.date });
+  }
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  archive.finalize().catch(() => {}); // Failures are reported through the 'error' event
+};
+
+module.exports = {
+  ARCHIVE_VARIANTS,
+  streamDatasetArchive
+};
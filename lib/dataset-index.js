@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { sortFolders, selectImagePair } = require('./project-registry');
+const { EPOCH_SIDECAR, readEpochSidecar, orderEpochs, matchChangeMaps } = require('./epochs');
+const { METADATA_SIDECAR, readJsonSidecar, mergeMetadata } = require('./metadata');
+const { VEG_FILTER_FOLDER, isDerivedImage } = require('./image-paths');
+const { logger } = require('./logger');
+
+// How long to wait for a burst of filesystem events (e.g. an scp of a whole folder) to settle
+const WATCH_DEBOUNCE_MS = 500;
+
+// Helper function to generate both full and downsampled image URLs with vegetation filter support
+const generateImageUrls = (basePath, filename, hasVegFilter = false) => {
+  const ext = path.extname(filename);
+  const base = path.basename(filename, ext);
+  const downsampledFilename = `${base}_2x${ext}`;
+
+  const urls = {
+    full: `/api/image/${basePath}/${filename}`,
+    downsampled: `/api/image/${basePath}/${downsampledFilename}`,
+    thumbnail: `/api/thumbnail/${basePath}/${filename}`
+  };
+
+  // Add vegetation filter variants if available
+  if (hasVegFilter) {
+    urls.vegFilter = {
+      full: `/api/image/${basePath}/${VEG_FILTER_FOLDER}/${filename}`,
+      downsampled: `/api/image/${basePath}/${VEG_FILTER_FOLDER}/${downsampledFilename}`
+    };
+  }
+
+  return urls;
+};
+
+// URLs of a difference image generated on the server from two acquisitions of a dataset
+const generateDifferenceUrls = (projectId, folder, preFilename, postFilename) => {
+  const base = `/api/difference/${projectId}/${encodeURIComponent(folder)}` +
+    `?pre=${encodeURIComponent(preFilename)}&post=${encodeURIComponent(postFilename)}`;
+
+  return {
+    full: base,
+    downsampled: `${base}&resolution=2x`
+  };
+};
+
+// List a directory, treating a missing directory as empty
+const readDirEntries = async (dirPath) => {
+  try {
+    return await fs.promises.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Put a folder's acquisitions in epoch order the way the dataset list will show them
+const orderAcquisitions = (acquisitions, pairing, sidecar) => {
+  if (pairing.prePattern || pairing.postPattern) {
+    // Explicit pairing rules still describe exactly two acquisitions
+    const pair = selectImagePair(acquisitions, pairing);
+    return pair ? orderEpochs([pair.preEvent, pair.postEvent], sidecar) : [];
+  }
+  return orderEpochs(acquisitions, sidecar);
+};
+
+// Build the dataset entry for a single folder of a registered project
+const buildDataset = async (appRoot, project, folder, projectMetadata = null) => {
+  const { pairing, layers } = project;
+  const basePath = `${project.dataRoot}/${folder}`;
+  const folderPath = path.join(appRoot, project.dataRoot, folder);
+  const entries = await readDirEntries(folderPath);
+  const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+
+  // Filter out downsampled images (_2x suffix) and thumbnails from main image list
+  const imageFiles = files.filter(f =>
+    pairing.imageExtensions.includes(path.extname(f).toLowerCase()) &&
+    !isDerivedImage(f)
+  );
+  const changeMapPrefix = layers.ssiMap ? pairing.changeMapPrefix : null;
+  const changeMapFiles = changeMapPrefix ? imageFiles.filter(f => f.startsWith(changeMapPrefix)) : [];
+  const acquisitions = changeMapPrefix ? imageFiles.filter(f => !f.startsWith(changeMapPrefix)) : imageFiles;
+
+  const sidecar = files.includes(EPOCH_SIDECAR) ? await readEpochSidecar(folderPath) : null;
+  const epochs = orderAcquisitions(acquisitions, pairing, sidecar);
+
+  if (epochs.length < 2) {
+    return null;
+  }
+
+  // Check if this dataset has vegetation filter support
+  const hasVegFilterSupport = layers.vegetationFilter &&
+    entries.some(entry => entry.isDirectory() && entry.name === VEG_FILTER_FOLDER);
+  const vegFilterFiles = hasVegFilterSupport
+    ? new Set((await readDirEntries(path.join(folderPath, VEG_FILTER_FOLDER))).map(entry => entry.name))
+    : new Set();
+
+  // Generate URLs for both full and downsampled versions of every acquisition
+  const epochList = epochs.map(({ filename, date, label }) => ({
+    date,
+    label,
+    filename,
+    urls: generateImageUrls(basePath, filename)
+  }));
+
+  // SSI maps per consecutive (or declared) epoch pair, with vegetation filter variants when present
+  const changeMaps = matchChangeMaps(changeMapFiles, epochs, sidecar).map(({ filename, from, to }) => ({
+    from,
+    to,
+    filename,
+    urls: generateImageUrls(basePath, filename, vegFilterFiles.has(filename))
+  }));
+
+  // preEvent/postEvent/changeDetection keep describing the whole series (first vs. last
+  // acquisition) for clients that only understand pairs
+  const overallChange = changeMaps.find(map => map.from === 0 && map.to === epochList.length - 1) ||
+    changeMaps[0] || null;
+
+  const datasetMetadata = files.includes(METADATA_SIDECAR) ? await readJsonSidecar(folderPath, METADATA_SIDECAR) : null;
+
+  const dataset = {
+    id: folder,
+    metadata: mergeMetadata(projectMetadata, datasetMetadata),
+    epochs: epochList,
+    changeMaps,
+    preEvent: epochList[0].urls,
+    postEvent: epochList[epochList.length - 1].urls,
+    changeDetection: overallChange ? overallChange.urls : null
+  };
+
+  // Generated difference layers for each consecutive pair, plus first vs. last acquisition
+  if (layers.differenceMap) {
+    const pairs = epochList.slice(1).map((epoch, index) => [index, index + 1]);
+    if (epochList.length > 2) {
+      pairs.push([0, epochList.length - 1]);
+    }
+    dataset.differenceMaps = pairs.map(([from, to]) => ({
+      from,
+      to,
+      urls: generateDifferenceUrls(project.id, folder, epochList[from].filename, epochList[to].filename)
+    }));
+    dataset.difference = dataset.differenceMaps[dataset.differenceMaps.length - 1].urls;
+  }
+
+  if (layers.vegetationFilter) {
+    dataset.hasVegetationFilter = hasVegFilterSupport;
+    dataset.vegetationFilterAvailable = {
+      changeDetection: Boolean(overallChange && overallChange.urls.vegFilter)
+    };
+  }
+
+  return dataset;
+};
+
+// In-memory index of every project's datasets, built asynchronously and kept
+// fresh by watching the data roots. Emits 'updated' with { projectId, added,
+// removed, modified } whenever a project's dataset list changes.
+class DatasetIndex extends EventEmitter {
+  constructor(registry, appRoot) {
+    super();
+    this.registry = registry;
+    this.appRoot = appRoot;
+    this.projects = new Map(); // projectId -> { datasets: Map, list, etag, metadata, builtAt }
+    this.watchers = new Map(); // projectId -> fs.FSWatcher
+    this.pendingFolders = new Map(); // projectId -> Set of folders (null = full rebuild)
+    this.flushTimers = new Map();
+    this.refreshChains = new Map(); // projectId -> promise serializing refreshes
+    this.ready = null;
+  }
+
+  // Build the index for every registered project and start watching the data roots. If
+  // that fails, the next call (e.g. from the next get()) tries again.
+  start() {
+    if (!this.ready) {
+      this.ready = Promise.all(this.registry.projects.map(async (project) => {
+        await this.rebuildProject(project);
+        this.watchProject(project);
+      })).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  stop() {
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    for (const timer of this.flushTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchers.clear();
+    this.flushTimers.clear();
+    this.pendingFolders.clear();
+  }
+
+  // Get { list, etag } for a project, waiting for the initial build if needed
+  async get(projectId) {
+    await this.start();
+    return this.projects.get(projectId) || null;
+  }
+
+  rootPath(project) {
+    return path.join(this.appRoot, project.dataRoot);
+  }
+
+  async rebuildProject(project) {
+    const rootPath = this.rootPath(project);
+    const entries = await readDirEntries(rootPath);
+    const folders = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    const datasets = new Map();
+
+    // Project-wide metadata defaults live in the data root itself
+    const metadata = await readJsonSidecar(rootPath, METADATA_SIDECAR);
+
+    for (const folder of folders) {
+      const dataset = await buildDataset(this.appRoot, project, folder, metadata);
+      if (dataset) {
+        datasets.set(folder, dataset);
+      }
+    }
+
+    this.commit(project, datasets, metadata);
+  }
+
+  async refreshFolders(project, folders) {
+    const state = this.projects.get(project.id);
+    const datasets = new Map(state ? state.datasets : []);
+    const metadata = state ? state.metadata : null;
+
+    for (const folder of folders) {
+      const dataset = await buildDataset(this.appRoot, project, folder, metadata);
+      if (dataset) {
+        datasets.set(folder, dataset);
+      } else {
+        datasets.delete(folder);
+      }
+    }
+
+    this.commit(project, datasets, metadata);
+  }
+
+  // Swap in a new dataset map, recompute the sorted list and ETag, and report what changed
+  commit(project, datasets, metadata) {
+    const previous = this.projects.get(project.id);
+    const order = sortFolders([...datasets.keys()], project.pairing);
+    const list = order.map(folder => datasets.get(folder));
+    const body = JSON.stringify(list);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+    this.projects.set(project.id, { datasets, list, etag, metadata, builtAt: Date.now() });
+
+    if (!previous || previous.etag === etag) {
+      return;
+    }
+
+    const added = [];
+    const modified = [];
+    for (const [folder, dataset] of datasets) {
+      const before = previous.datasets.get(folder);
+      if (!before) {
+        added.push(folder);
+      } else if (JSON.stringify(before) !== JSON.stringify(dataset)) {
+        modified.push(folder);
+      }
+    }
+    const removed = [...previous.datasets.keys()].filter(folder => !datasets.has(folder));
+
+    this.emit('updated', { projectId: project.id, added, removed, modified });
+  }
+
+  watchProject(project) {
+    if (this.watchers.has(project.id)) {
+      return; // Watched by an earlier start() that failed on another project
+    }
+    const rootPath = this.rootPath(project);
+    if (!fs.existsSync(rootPath)) {
+      logger.warn({ project: project.id, rootPath }, 'Data root not found');
+      return;
+    }
+
+    const onChange = (eventType, filename) => this.invalidate(project, filename);
+    let watcher;
+    try {
+      watcher = fs.watch(rootPath, { recursive: true }, onChange);
+    } catch (error) {
+      // Recursive watching is not available everywhere; folder additions/removals are still caught
+      logger.warn({ project: project.id, rootPath, err: error }, 'Recursive watch unavailable, watching top level only');
+      watcher = fs.watch(rootPath, onChange);
+    }
+
+    watcher.on('error', (error) => {
+      logger.error({ project: project.id, err: error }, 'Dataset watcher error');
+    });
+    this.watchers.set(project.id, watcher);
+  }
+
+  // Queue the dataset folder touched by a filesystem event for a debounced refresh
+  invalidate(project, filename) {
+    if (!this.pendingFolders.has(project.id)) {
+      this.pendingFolders.set(project.id, new Set());
+    }
+    const pending = this.pendingFolders.get(project.id);
+    const folder = filename ? filename.toString().split(/[\\/]/)[0] : null;
+    // Project-wide metadata affects every dataset, so it triggers a full rebuild
+    pending.add(folder && folder !== METADATA_SIDECAR ? folder : null);
+
+    clearTimeout(this.flushTimers.get(project.id));
+    this.flushTimers.set(project.id, setTimeout(() => this.flush(project), WATCH_DEBOUNCE_MS));
+  }
+
+  flush(project) {
+    const pending = this.pendingFolders.get(project.id);
+    this.pendingFolders.delete(project.id);
+    this.flushTimers.delete(project.id);
+    if (!pending) return Promise.resolve();
+
+    return this.refresh(project, pending.has(null) ? null : pending).catch((error) => {
+      logger.error({ project: project.id, err: error }, 'Failed to refresh dataset index');
+    });
+  }
+
+  // Refresh some folders of a project (all of them for null) once any refresh already
+  // queued for it is done. Refreshes run one after another so a slow rebuild cannot
+  // overwrite a newer one; use this rather than refreshFolders() or rebuildProject().
+  refresh(project, folders = null) {
+    const previous = this.refreshChains.get(project.id) || Promise.resolve();
+    const next = previous.then(() => (folders ? this.refreshFolders(project, folders) : this.rebuildProject(project)));
+    this.refreshChains.set(project.id, next.catch(() => {}));
+    return next;
+  }
+}
+
+module.exports = {
+  DatasetIndex,
+  generateImageUrls,
+  orderAcquisitions
+};
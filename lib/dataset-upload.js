@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { EPOCH_SIDECAR, parseDatesFromFilename } = require('./epochs');
+const { orderAcquisitions } = require('./dataset-index');
+const { VEG_FILTER_FOLDER, isDerivedImage } = require('./image-paths');
+const { createDownsampledImage, createThumbnailImage } = require('../create-downsampled-images');
+
+// Multipart file fields of an upload; the SSI maps depend on the project's layers
+const UPLOAD_FIELDS = [
+  { name: 'pre', maxCount: 1 },
+  { name: 'post', maxCount: 1 },
+  { name: 'ssi', maxCount: 1 },
+  { name: 'ssiVegFilter', maxCount: 1 }
+];
+
+// Image formats sharp must detect, with the file extensions each may be stored under
+const ACCEPTED_FORMATS = {
+  jpeg: ['.jpg', '.jpeg'],
+  png: ['.png'],
+  webp: ['.webp'],
+  tiff: ['.tif', '.tiff']
+};
+
+const FOLDER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Keep uploaded filenames recognisable but safe to store and to put in URLs
+const sanitizeFilename = (name) => path.basename(name || '')
+  .replace(/[^\w.-]/g, '_')
+  .replace(/^[.-]+/, '');
+
+// Next free number in a data root whose dataset folders are numbered
+const nextDatasetFolder = async (rootPath) => {
+  const entries = await fs.promises.readdir(rootPath, { withFileTypes: true });
+  const numbers = entries
+    .filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name))
+    .map(entry => parseInt(entry.name, 10));
+  return String(numbers.length ? Math.max(...numbers) + 1 : 1);
+};
+
+// Create the (empty) dataset folder, so that concurrent uploads cannot both pick it; a
+// numbered folder another upload claimed first moves on to the next number. Rejects
+// with EEXIST if a requested folder exists.
+const claimDatasetFolder = async (rootPath, requested) => {
+  let folder = requested || await nextDatasetFolder(rootPath);
+  for (;;) {
+    try {
+      await fs.promises.mkdir(path.join(rootPath, folder));
+      return folder;
+    } catch (error) {
+      if (error.code !== 'EEXIST' || requested) throw error;
+      folder = String(parseInt(folder, 10) + 1);
+    }
+  }
+};
+
+// Check an uploaded file is an image sharp can read, stored under a matching extension
+const inspectImage = async (file, filename) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.path).metadata();
+  } catch (error) {
+    return { error: `${file.fieldname}: not a readable image (${error.message})` };
+  }
+
+  const extensions = ACCEPTED_FORMATS[metadata.format];
+  if (!extensions) {
+    return { error: `${file.fieldname}: ${metadata.format} images are not supported` };
+  }
+  if (!extensions.includes(path.extname(filename).toLowerCase())) {
+    return { error: `${file.fieldname}: ${metadata.format} image must be named ${extensions.join(' or ')}` };
+  }
+
+  const { width, height } = metadata.autoOrient || metadata;
+  return { format: metadata.format, width, height };
+};
+
+// Move a staged dataset folder into place; data roots may live on another filesystem
+const moveFolder = async (source, target) => {
+  try {
+    await fs.promises.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.cp(source, target, { recursive: true, errorOnExist: true, force: false });
+    await fs.promises.rm(source, { recursive: true, force: true });
+  }
+};
+
+// Check the upload's images and dates and write them into the dataset folder that
+// createUploadedDataset claimed
+const writeDataset = async ({ project, rootPath, stagingRoot, files, fields, folder }) => {
+  const { pairing, layers } = project;
+  const pre = files.pre[0];
+  const post = files.post[0];
+  const ssi = files.ssi?.[0];
+  const ssiVegFilter = files.ssiVegFilter?.[0];
+
+  // Acquisitions keep their (sanitised) names; SSI maps are named like the existing ones
+  const preName = sanitizeFilename(pre.originalname);
+  const postName = sanitizeFilename(post.originalname);
+  const changeMapName = ssi ? `${pairing.changeMapPrefix}${folder}${path.extname(sanitizeFilename(ssi.originalname)).toLowerCase()}` : null;
+  const uploads = [
+    { role: 'pre', file: pre, filename: preName },
+    { role: 'post', file: post, filename: postName },
+    ...(ssi ? [{ role: 'change', file: ssi, filename: changeMapName }] : []),
+    ...(ssiVegFilter ? [{ role: 'change', file: ssiVegFilter, filename: changeMapName, folder: VEG_FILTER_FOLDER }] : [])
+  ];
+
+  if (!preName || !postName || preName === postName) {
+    return { status: 400, error: 'pre and post images need different filenames' };
+  }
+  for (const name of [preName, postName]) {
+    if (isDerivedImage(name) || (pairing.changeMapPrefix && name.startsWith(pairing.changeMapPrefix))) {
+      return { status: 400, error: `${name}: acquisitions may not be named like _2x, thumbnail or change map files` };
+    }
+  }
+  for (const upload of uploads) {
+    if (!pairing.imageExtensions.includes(path.extname(upload.filename).toLowerCase())) {
+      return { status: 400, error: `${upload.file.fieldname}: this project only reads ${pairing.imageExtensions.join(', ')} files` };
+    }
+    const inspected = await inspectImage(upload.file, upload.filename);
+    if (inspected.error) {
+      return { status: 400, error: inspected.error };
+    }
+    Object.assign(upload, inspected);
+  }
+
+  // Dates from the form or the filenames; epochs.json makes the pre/post order explicit
+  const dates = {};
+  for (const [role, name] of [['pre', preName], ['post', postName]]) {
+    const date = String(fields[`${role}Date`] || '').trim() || parseDatesFromFilename(name)[0] || null;
+    if (date && (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date)))) {
+      return { status: 400, error: `${role}Date must be a date (YYYY-MM-DD)` };
+    }
+    dates[role] = date;
+  }
+  if (dates.pre && dates.post && dates.pre >= dates.post) {
+    return { status: 400, error: 'The pre image must be acquired before the post image' };
+  }
+
+  const sidecar = {
+    epochs: [
+      { file: preName, ...(dates.pre ? { date: dates.pre } : {}) },
+      { file: postName, ...(dates.post ? { date: dates.post } : {}) }
+    ],
+    ...(changeMapName ? { changeMaps: [{ file: changeMapName, from: preName, to: postName }] } : {})
+  };
+  const order = orderAcquisitions([preName, postName], pairing, sidecar).map(epoch => epoch.filename);
+  if (order[0] !== preName || order[1] !== postName) {
+    return { status: 400, error: 'Cannot tell the pre image from the post image by name; please give acquisition dates' };
+  }
+
+  const stagingPath = path.join(stagingRoot, `${folder}.${crypto.randomBytes(4).toString('hex')}`);
+  try {
+    await fs.promises.mkdir(path.join(stagingPath, VEG_FILTER_FOLDER), { recursive: true });
+    for (const upload of uploads) {
+      const target = path.join(stagingPath, upload.folder || '', upload.filename);
+      await fs.promises.rename(upload.file.path, target);
+
+      const downsampled = await createDownsampledImage(target);
+      const thumbnail = await createThumbnailImage(target);
+      if (!downsampled.success || !thumbnail.success) {
+        throw new Error(`Failed to create derivatives of ${upload.filename}: ${downsampled.error || thumbnail.error}`);
+      }
+    }
+    if (!ssiVegFilter) {
+      await fs.promises.rmdir(path.join(stagingPath, VEG_FILTER_FOLDER));
+    }
+    await fs.promises.writeFile(path.join(stagingPath, EPOCH_SIDECAR), JSON.stringify(sidecar, null, 2));
+
+    // Replaces the empty folder claimed for it
+    await moveFolder(stagingPath, path.join(rootPath, folder));
+  } catch (error) {
+    await fs.promises.rm(stagingPath, { recursive: true, force: true });
+    if (error.code === 'EEXIST' || error.code === 'ENOTEMPTY') {
+      return { status: 409, error: `Dataset ${folder} already exists` };
+    }
+    throw error;
+  }
+
+  return {
+    dataset: folder,
+    files: uploads.map(({ role, filename, folder: subfolder, format, width, height, file }) => ({
+      role,
+      filename: subfolder ? `${subfolder}/${filename}` : filename,
+      format,
+      width,
+      height,
+      bytes: file.size
+    }))
+  };
+};
+
+// Validate an upload (multer files by field, plus the dataset/preDate/postDate form
+// fields) and write it as a new dataset folder of the project: the images, an
+// epochs.json naming pre and post, and the _2x and thumbnail derivatives. Everything
+// is prepared in stagingRoot first, so the dataset appears complete or not at all
+// (meanwhile its folder is there but empty). Resolves to { dataset, files } or
+// { status, error }.
+const createUploadedDataset = async ({ project, rootPath, stagingRoot, files, fields }) => {
+  const { layers } = project;
+  const pre = files.pre?.[0];
+  const post = files.post?.[0];
+  const ssi = files.ssi?.[0];
+  const ssiVegFilter = files.ssiVegFilter?.[0];
+
+  if (!pre || !post) {
+    return { status: 400, error: 'Both a pre and a post image are required' };
+  }
+  if (ssi && !layers.ssiMap) {
+    return { status: 400, error: 'This project does not show SSI maps' };
+  }
+  if (ssiVegFilter && (!layers.vegetationFilter || !ssi)) {
+    return { status: 400, error: 'A vegetation-filtered SSI map needs an SSI map and a project with the vegetation filter' };
+  }
+
+  // Folder: as requested, or the next number in the data root
+  const requested = String(fields.dataset || '').trim();
+  if (requested && !FOLDER_NAME_PATTERN.test(requested)) {
+    return { status: 400, error: 'dataset may only contain letters, digits, "-" and "_"' };
+  }
+  let folder;
+  try {
+    folder = await claimDatasetFolder(rootPath, requested);
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return { status: 409, error: `Dataset ${requested} already exists` };
+    }
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await writeDataset({ project, rootPath, stagingRoot, files, fields, folder });
+  } finally {
+    // Give the claimed folder back unless the dataset was moved into it; rmdir leaves
+    // it alone if it is not empty
+    if (!result?.dataset) {
+      await fs.promises.rmdir(path.join(rootPath, folder)).catch(() => {});
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  UPLOAD_FIELDS,
+  createUploadedDataset
+};
@@ -0,0 +1,144 @@
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const sharp = require('sharp');
+
+// Supported difference layers: |post - pre|, or (post - pre) / (post + pre)
+const DIFFERENCE_MODES = ['absolute', 'normalized'];
+
+// Absolute differences are stretched so this percentile of changed pixels maps to full intensity
+const STRETCH_PERCENTILE = 0.99;
+
+const OUTPUT_OPTIONS = { quality: 90, progressive: true };
+
+const WORKER_PATH = path.join(__dirname, 'difference-worker.js');
+
+// Interpolate a 256-entry RGB lookup table through evenly spaced colour stops
+const buildColorMap = (stops) => {
+  const table = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const position = (i / 255) * (stops.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, stops.length - 1);
+    const t = position - lower;
+    for (let c = 0; c < 3; c++) {
+      table[i * 3 + c] = Math.round(stops[lower][c] + (stops[upper][c] - stops[lower][c]) * t);
+    }
+  }
+  return table;
+};
+
+// Black (no change) through red and yellow to white (strongest change)
+const HEAT_COLORS = buildColorMap([[0, 0, 0], [180, 0, 0], [255, 160, 0], [255, 255, 255]]);
+
+// Blue (darker after the event) through white (unchanged) to red (brighter after the event)
+const DIVERGING_COLORS = buildColorMap([[33, 102, 172], [247, 247, 247], [178, 24, 43]]);
+
+// Cache filenames change whenever either source file or the requested output does
+const differenceCacheFilename = (pre, post, { mode, downsampled }) => {
+  const hash = crypto.createHash('sha1')
+    .update([
+      'difference',
+      pre.path, pre.stats.mtimeMs, pre.stats.size,
+      post.path, post.stats.mtimeMs, post.stats.size,
+      mode, downsampled ? '2x' : 'full'
+    ].join(':'))
+    .digest('hex');
+  return `${hash}.jpeg`;
+};
+
+// Decode an image as 8-bit greyscale at a fixed size
+const readLuminance = (imagePath, width, height) => sharp(imagePath)
+  .rotate()
+  .greyscale()
+  .resize(width, height, { fit: 'fill' })
+  .raw()
+  .toBuffer();
+
+// Write a colour-mapped difference of two co-registered images to outputPath as JPEG.
+// The post image is resampled to the pre image's size; `downsampled` halves both
+// dimensions to match the _2x images. Resolves to the written file size.
+const renderDifferenceImage = async (prePath, postPath, outputPath, { mode = 'absolute', downsampled = false } = {}) => {
+  const { autoOrient } = await sharp(prePath).metadata();
+  const width = downsampled ? Math.max(1, Math.round(autoOrient.width / 2)) : autoOrient.width;
+  const height = downsampled ? Math.max(1, Math.round(autoOrient.height / 2)) : autoOrient.height;
+
+  const [pre, post] = await Promise.all([
+    readLuminance(prePath, width, height),
+    readLuminance(postPath, width, height)
+  ]);
+
+  const pixels = width * height;
+  const rgb = Buffer.alloc(pixels * 3);
+
+  if (mode === 'normalized') {
+    for (let i = 0; i < pixels; i++) {
+      const sum = pre[i] + post[i];
+      const ratio = sum === 0 ? 0 : (post[i] - pre[i]) / sum;
+      const index = Math.round((ratio + 1) * 127.5);
+      rgb[i * 3] = DIVERGING_COLORS[index * 3];
+      rgb[i * 3 + 1] = DIVERGING_COLORS[index * 3 + 1];
+      rgb[i * 3 + 2] = DIVERGING_COLORS[index * 3 + 2];
+    }
+  } else {
+    const difference = new Uint8Array(pixels);
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < pixels; i++) {
+      difference[i] = Math.abs(post[i] - pre[i]);
+      histogram[difference[i]]++;
+    }
+
+    // Contrast stretch so small co-registration noise stays dark but real changes stand out
+    let limit = 255;
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen >= pixels * STRETCH_PERCENTILE) {
+        limit = Math.max(value, 1);
+        break;
+      }
+    }
+
+    for (let i = 0; i < pixels; i++) {
+      const index = Math.min(255, Math.round((difference[i] * 255) / limit));
+      rgb[i * 3] = HEAT_COLORS[index * 3];
+      rgb[i * 3 + 1] = HEAT_COLORS[index * 3 + 1];
+      rgb[i * 3 + 2] = HEAT_COLORS[index * 3 + 2];
+    }
+  }
+
+  const info = await sharp(rgb, { raw: { width, height, channels: 3 } })
+    .jpeg(OUTPUT_OPTIONS)
+    .toFile(outputPath);
+  return info.size;
+};
+
+// Pixels are compared in JavaScript, which for a full-resolution pair takes seconds and
+// several hundred MB. Each difference is therefore rendered in a worker thread, so
+// other requests are not held up, and one at a time, so memory use stays bounded.
+let previousRender = Promise.resolve();
+
+const runWorker = (workerData) => new Promise((resolve, reject) => {
+  const worker = new Worker(WORKER_PATH, { workerData });
+  worker.once('message', resolve);
+  worker.once('error', reject);
+  worker.once('exit', (code) => {
+    if (code !== 0) {
+      reject(new Error(`Difference worker stopped with exit code ${code}`));
+    }
+  });
+});
+
+// renderDifferenceImage() in a worker thread, queued behind any other difference
+const writeDifferenceImage = (prePath, postPath, outputPath, options = {}) => {
+  const render = previousRender.then(() => runWorker({ prePath, postPath, outputPath, options }));
+  previousRender = render.catch(() => {});
+  return render;
+};
+
+module.exports = {
+  DIFFERENCE_MODES,
+  differenceCacheFilename,
+  renderDifferenceImage,
+  writeDifferenceImage
+};
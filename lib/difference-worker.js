@@ -0,0 +1,7 @@
+const { parentPort, workerData } = require('worker_threads');
+const { renderDifferenceImage } = require('./difference-image');
+
+// Worker thread entry for writeDifferenceImage: renders one difference image and posts
+// back its file size. A failure ends the worker with an 'error' event.
+const { prePath, postPath, outputPath, options } = workerData;
+renderDifferenceImage(prePath, postPath, outputPath, options).then(size => parentPort.postMessage(size));
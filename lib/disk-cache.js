@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Base class for bounded on-disk caches of generated files or directories, one entry
+// per name in `directory`. Entries are created on first request, concurrent requests
+// for the same name sharing one creation, and evicted least-recently-used once the
+// cache grows beyond maxBytes. Subclasses implement restore() to take back entries
+// left by a previous run.
+class DiskCache {
+  constructor({ directory, maxBytes, description }) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    this.description = description; // What an entry is, for log messages
+    this.entries = new Map(); // name -> { size, lastUsed, value }
+    this.totalBytes = 0;
+    this.pending = new Map(); // name -> promise of creation in progress
+    this.ready = null;
+  }
+
+  // Create the cache directory and account for entries left by a previous run; those
+  // restore() does not recognise, and leftover .tmp files, are deleted
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const names = await fs.promises.readdir(this.directory);
+        for (const name of names) {
+          const entryPath = path.join(this.directory, name);
+          const restored = name.endsWith('.tmp') ? null : await this.restore(name, entryPath).catch(() => null);
+          if (restored) {
+            this.track(name, restored.size, restored.value, restored.lastUsed);
+          } else {
+            await fs.promises.rm(entryPath, { recursive: true, force: true });
+          }
+        }
+        await this.evict();
+      })();
+    }
+    return this.ready;
+  }
+
+  // { size, value, lastUsed } of an existing entry, or null to delete it
+  async restore() {
+    return null;
+  }
+
+  track(name, size, value = null, lastUsed = Date.now()) {
+    const previous = this.entries.get(name);
+    if (previous) {
+      this.totalBytes -= previous.size;
+    }
+    this.entries.set(name, { size, lastUsed, value });
+    this.totalBytes += size;
+  }
+
+  // The entry with this name, marked as just used, or null
+  use(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+    entry.lastUsed = Date.now();
+    return entry;
+  }
+
+  // The entry with this name, created with create() → { size, value } if there is none
+  async getOrCreate(name, create) {
+    await this.init();
+    const entry = this.use(name);
+    if (entry) return entry;
+
+    if (!this.pending.has(name)) {
+      const creation = create()
+        .then(async ({ size, value = null }) => {
+          this.track(name, size, value);
+          await this.evict(name);
+          return { size, value };
+        })
+        .finally(() => this.pending.delete(name));
+      this.pending.set(name, creation);
+    }
+    return this.pending.get(name);
+  }
+
+  // Drop least recently used entries until the cache fits, never the one just created
+  async evict(keep = null) {
+    if (this.totalBytes <= this.maxBytes) return;
+
+    const candidates = [...this.entries.entries()]
+      .filter(([name]) => name !== keep)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    for (const [name, { size }] of candidates) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.entries.delete(name);
+      this.totalBytes -= size;
+      try {
+        await fs.promises.rm(path.join(this.directory, name), { recursive: true, force: true });
+      } catch (error) {
+        logger.warn({ entry: name, err: error }, `Failed to evict ${this.description}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  DiskCache
+};
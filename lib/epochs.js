@@ -0,0 +1,108 @@
+const path = require('path');
+const { readJsonSidecar } = require('./metadata');
+const { logger } = require('./logger');
+
+// Optional per-folder sidecar listing acquisitions and change maps explicitly
+const EPOCH_SIDECAR = 'epochs.json';
+
+// Dates embedded in filenames: 20230115, 2023-01-15, 2023_01_15 or 2023.01.15
+const FILENAME_DATE_PATTERN = /(?:^|[^0-9])((?:19|20)\d{2})[-_.]?(0[1-9]|1[0-2])[-_.]?(0[1-9]|[12]\d|3[01])(?![0-9])/g;
+
+// Extract every plausible acquisition date (YYYY-MM-DD) from a filename
+const parseDatesFromFilename = (filename) => {
+  const base = path.basename(filename, path.extname(filename));
+  const dates = [];
+  for (const match of base.matchAll(FILENAME_DATE_PATTERN)) {
+    dates.push(`${match[1]}-${match[2]}-${match[3]}`);
+  }
+  return dates;
+};
+
+// Read epochs.json from a dataset folder; a missing sidecar is not an error
+const readEpochSidecar = (folderPath) => readJsonSidecar(folderPath, EPOCH_SIDECAR);
+
+// Order a folder's acquisitions by date (sidecar first, then filename), falling back to filename order
+const orderEpochs = (images, sidecar) => {
+  const sidecarEntries = new Map(
+    (sidecar && Array.isArray(sidecar.epochs) ? sidecar.epochs : [])
+      .filter(entry => entry && entry.file)
+      .map(entry => [entry.file, entry])
+  );
+
+  const epochs = images.map(filename => {
+    const entry = sidecarEntries.get(filename) || {};
+    const date = entry.date || parseDatesFromFilename(filename)[0] || null;
+    return {
+      filename,
+      date,
+      label: entry.label || date || filename
+    };
+  });
+
+  return epochs.sort((a, b) => {
+    if (a.date && b.date && a.date !== b.date) return a.date.localeCompare(b.date);
+    if (a.date && !b.date) return -1;
+    if (!a.date && b.date) return 1;
+    return a.filename.localeCompare(b.filename);
+  });
+};
+
+// Work out which pair of epochs each change map (e.g. SSI_coeff_*) compares.
+// Returns [{ filename, from, to }] with from/to as epoch indexes.
+const matchChangeMaps = (changeMapFiles, epochs, sidecar) => {
+  const indexByFile = new Map(epochs.map((epoch, index) => [epoch.filename, index]));
+  const indexByDate = new Map(
+    epochs.map((epoch, index) => [epoch.date, index]).filter(([date]) => date)
+  );
+  const sidecarMaps = new Map(
+    (sidecar && Array.isArray(sidecar.changeMaps) ? sidecar.changeMaps : [])
+      .filter(entry => entry && entry.file)
+      .map(entry => [entry.file, entry])
+  );
+
+  const matched = [];
+  const unmatched = [];
+
+  for (const filename of [...changeMapFiles].sort()) {
+    const declared = sidecarMaps.get(filename);
+    if (declared && indexByFile.has(declared.from) && indexByFile.has(declared.to)) {
+      matched.push({ filename, from: indexByFile.get(declared.from), to: indexByFile.get(declared.to) });
+      continue;
+    }
+
+    const dates = parseDatesFromFilename(filename).filter(date => indexByDate.has(date));
+    if (dates.length >= 2) {
+      const [from, to] = [indexByDate.get(dates[0]), indexByDate.get(dates[1])].sort((a, b) => a - b);
+      matched.push({ filename, from, to });
+      continue;
+    }
+
+    unmatched.push(filename);
+  }
+
+  if (unmatched.length === 1 && matched.length === 0) {
+    // Classic pre/post folder: a single SSI map compares the first and last acquisition
+    matched.push({ filename: unmatched[0], from: 0, to: epochs.length - 1 });
+  } else if (unmatched.length > 0 && unmatched.length + matched.length === epochs.length - 1) {
+    // One map per consecutive pair, in filename order
+    const taken = new Set(matched.map(map => map.from));
+    let from = 0;
+    for (const filename of unmatched) {
+      while (taken.has(from)) from++;
+      matched.push({ filename, from, to: from + 1 });
+      from++;
+    }
+  } else if (unmatched.length > 0) {
+    logger.warn({ changeMaps: unmatched }, 'Could not match change maps to epochs');
+  }
+
+  return matched.sort((a, b) => a.from - b.from || a.to - b.to);
+};
+
+module.exports = {
+  EPOCH_SIDECAR,
+  parseDatesFromFilename,
+  readEpochSidecar,
+  orderEpochs,
+  matchChangeMaps
+};
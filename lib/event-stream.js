@@ -0,0 +1,28 @@
+// Comment lines keep idle connections open through proxies that time them out
+const HEARTBEAT_INTERVAL = 25000;
+
+// Turn a response into a Server-Sent Events stream. Returns send(event, data),
+// which writes data as JSON; onClose runs once when the client disconnects.
+const openEventStream = (req, res, onClose = () => {}) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+};
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,29 @@
+const fs = require('fs');
+
+// Wrap read(fullPath, stats) so its result is kept per file and read again only once
+// the file's mtime or size changes. At most maxEntries files are kept, oldest dropped
+// first.
+const memoizeByFile = (read, { maxEntries }) => {
+  const cache = new Map(); // full path -> { version, value }, oldest first
+
+  return async (fullPath) => {
+    const stats = await fs.promises.stat(fullPath);
+    const version = `${stats.mtimeMs}:${stats.size}`;
+    const cached = cache.get(fullPath);
+    if (cached && cached.version === version) {
+      return cached.value;
+    }
+
+    const value = await read(fullPath, stats);
+    cache.delete(fullPath);
+    cache.set(fullPath, { version, value });
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+    return value;
+  };
+};
+
+module.exports = {
+  memoizeByFile
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Store } = require('express-session');
+const { logger } = require('./logger');
+const { writeJsonFile } = require('./json-file');
+
+// Expired sessions are deleted this often (and at startup)
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+// A session's expiry is rewritten on a request only if it moved by more than this, so
+// loading a page of images does not write the file for every image
+const TOUCH_RESOLUTION_MS = 60 * 1000;
+
+// Sessions that never logged in (the login page asking for a CSRF token) are kept this
+// long after their last request, however long logins last
+const ANONYMOUS_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Session ids are cookie secrets, so files are named after their SHA-256 instead; that
+// hash is also the id the admin page uses to revoke a session
+const fileIdFor = (sid) => crypto.createHash('sha256').update(String(sid)).digest('hex');
+const FILE_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+// express-session calls stores with callbacks; the work here is done with promises
+const settle = (promise, callback = () => {}) => {
+  promise.then(
+    result => process.nextTick(callback, null, result),
+    error => process.nextTick(callback, error)
+  );
+};
+
+// express-session store keeping each session in a JSON file ({ expires, lastSeen, session })
+// in one directory, so logins survive restarts and deploys. Expired files are removed
+// when read and by a periodic cleanup.
+class FileSessionStore extends Store {
+  constructor({ directory, maxAge, now = Date.now }) {
+    super();
+    this.directory = directory;
+    this.maxAge = maxAge; // For sessions whose cookie has no expiry
+    this.now = now;
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+
+    const cleanup = () => this.cleanup().catch(error => logger.warn({ err: error }, 'Session cleanup failed'));
+    cleanup();
+    this.cleanupTimer = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  fileFor(fileId) {
+    return path.join(this.directory, `${fileId}.json`);
+  }
+
+  // The stored record, or null if there is none
+  async read(fileId) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.fileFor(fileId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return { expires: 0 }; // A file cut short by a crash, removed like an expired session
+    }
+  }
+
+  write(fileId, record) {
+    return writeJsonFile(this.fileFor(fileId), record);
+  }
+
+  async remove(fileId) {
+    try {
+      await fs.promises.unlink(this.fileFor(fileId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // When a session expires: its cookie's expiry, or sooner if it never logged in
+  expiresFor(session) {
+    const now = this.now();
+    const cookieExpires = session.cookie && session.cookie.expires ? new Date(session.cookie.expires).getTime() : now + this.maxAge;
+    return session.authenticated ? cookieExpires : Math.min(cookieExpires, now + ANONYMOUS_MAX_AGE_MS);
+  }
+
+  async load(fileId) {
+    const record = await this.read(fileId);
+    if (record && record.expires <= this.now()) {
+      await this.remove(fileId);
+      return null;
+    }
+    return record;
+  }
+
+  get(sid, callback) {
+    settle(this.load(fileIdFor(sid)).then(record => (record ? record.session : null)), callback);
+  }
+
+  set(sid, session, callback) {
+    const record = { expires: this.expiresFor(session), lastSeen: new Date(this.now()).toISOString(), session };
+    settle(this.write(fileIdFor(sid), record), callback);
+  }
+
+  // Called on requests that did not change the session, to move its expiry. Only the
+  // expiry of the stored session is updated, so a parallel request that did change it
+  // is not undone.
+  touch(sid, session, callback) {
+    const fileId = fileIdFor(sid);
+    settle(this.load(fileId).then((record) => {
+      if (!record) return null;
+      const expires = this.expiresFor(session);
+      if (Math.abs(expires - record.expires) < TOUCH_RESOLUTION_MS) return null;
+      record.session.cookie = session.cookie;
+      return this.write(fileId, { ...record, expires, lastSeen: new Date(this.now()).toISOString() });
+    }), callback);
+  }
+
+  destroy(sid, callback) {
+    settle(this.remove(fileIdFor(sid)), callback);
+  }
+
+  // Every unexpired session as { id, expires, lastSeen, session }, id being the file id
+  async list() {
+    const ids = (await fs.promises.readdir(this.directory))
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(fileId => FILE_ID_PATTERN.test(fileId));
+    const records = await Promise.all(ids.map(async fileId => {
+      const record = await this.load(fileId);
+      return record && { id: fileId, ...record };
+    }));
+    return records.filter(Boolean);
+  }
+
+  length(callback) {
+    settle(this.list().then(records => records.length), callback);
+  }
+
+  clear(callback) {
+    settle(this.list().then(records => Promise.all(records.map(record => this.remove(record.id)))), callback);
+  }
+
+  // Revoke a session by the id list() gives it; returns false if there is no such session
+  async revoke(fileId) {
+    return FILE_ID_PATTERN.test(String(fileId)) && this.remove(fileId);
+  }
+
+  // The id list() gives the session with this session id, to mark the caller's own session
+  static idFor(sid) {
+    return fileIdFor(sid);
+  }
+
+  // Deletes expired sessions and leftover temporary files; returns how many sessions
+  async cleanup() {
+    const files = await fs.promises.readdir(this.directory);
+    const cutoff = this.now() - CLEANUP_INTERVAL_MS;
+    for (const file of files.filter(name => name.endsWith('.tmp'))) {
+      const stat = await fs.promises.stat(path.join(this.directory, file)).catch(() => null);
+      if (stat && stat.mtimeMs < cutoff) {
+        await fs.promises.unlink(path.join(this.directory, file)).catch(() => {});
+      }
+    }
+    const before = files.filter(name => name.endsWith('.json')).length;
+    const remaining = (await this.list()).length;
+    return before - remaining;
+  }
+}
+
+module.exports = {
+  FileSessionStore
+};
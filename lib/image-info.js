@@ -0,0 +1,102 @@
+const path = require('path');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { memoizeByFile } = require('./file-memo');
+
+// Parsed properties are cached per file
+const MAX_CACHE_ENTRIES = 500;
+
+// libvips pixel formats to bits per channel
+const BIT_DEPTHS = {
+  uchar: 8,
+  char: 8,
+  ushort: 16,
+  short: 16,
+  uint: 32,
+  int: 32,
+  float: 32,
+  complex: 64,
+  double: 64,
+  dpcomplex: 128
+};
+
+// Convert EXIF degrees/minutes/seconds plus hemisphere reference to signed decimal degrees
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length === 0) return null;
+  const [degrees = 0, minutes = 0, seconds = 0] = dms;
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return ref === 'S' || ref === 'W' ? -value : value;
+};
+
+const toIsoString = (value) => (value instanceof Date && !isNaN(value) ? value.toISOString() : null);
+
+// Pick out capture time, camera and GPS fields from the raw EXIF block
+const parseExif = (buffer) => {
+  let tags;
+  try {
+    tags = exifReader(buffer);
+  } catch (error) {
+    return { capture: null, camera: null, gps: null, exifError: error.message };
+  }
+
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+  const gpsInfo = tags.GPSInfo || {};
+
+  const latitude = toDecimalDegrees(gpsInfo.GPSLatitude, gpsInfo.GPSLatitudeRef);
+  const longitude = toDecimalDegrees(gpsInfo.GPSLongitude, gpsInfo.GPSLongitudeRef);
+  let altitude = typeof gpsInfo.GPSAltitude === 'number' ? gpsInfo.GPSAltitude : null;
+  if (altitude !== null && gpsInfo.GPSAltitudeRef === 1) {
+    altitude = -altitude; // Below sea level
+  }
+
+  return {
+    capture: {
+      dateTimeOriginal: toIsoString(photo.DateTimeOriginal),
+      dateTimeDigitized: toIsoString(photo.DateTimeDigitized),
+      dateTime: toIsoString(image.DateTime)
+    },
+    camera: {
+      make: image.Make || null,
+      model: image.Model || null,
+      lensModel: photo.LensModel || null,
+      software: image.Software || null,
+      exposureTime: photo.ExposureTime ?? null,
+      fNumber: photo.FNumber ?? null,
+      iso: photo.ISOSpeedRatings ?? photo.PhotographicSensitivity ?? null,
+      focalLength: photo.FocalLength ?? null
+    },
+    gps: latitude !== null && longitude !== null ? { latitude, longitude, altitude } : null
+  };
+};
+
+// Read dimensions, pixel format, colour space, EXIF capture time, camera and GPS fields
+const readImageInfo = memoizeByFile(async (fullPath, stats) => {
+  const metadata = await sharp(fullPath).metadata();
+  const exif = metadata.exif ? parseExif(metadata.exif) : { capture: null, camera: null, gps: null };
+
+  return {
+    file: {
+      name: path.basename(fullPath),
+      size: stats.size,
+      modified: stats.mtime.toISOString()
+    },
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+    channels: metadata.channels,
+    bitDepth: BIT_DEPTHS[metadata.depth] || null,
+    pixelFormat: metadata.depth,
+    colorSpace: metadata.space,
+    hasAlpha: metadata.hasAlpha,
+    hasIccProfile: Boolean(metadata.icc),
+    density: metadata.density || null,
+    orientation: metadata.orientation || null,
+    isProgressive: metadata.isProgressive || false,
+    ...exif
+  };
+}, { maxEntries: MAX_CACHE_ENTRIES });
+
+module.exports = {
+  readImageInfo
+};
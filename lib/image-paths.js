@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+// Sub-folder holding the vegetation-filtered versions of a dataset's images
+const VEG_FILTER_FOLDER = 'no_veg_filter';
+
+// Gallery thumbnails (<name>_thumb.jpg) fit within this many pixels on either side
+const THUMBNAIL_SUFFIX = '_thumb';
+const THUMBNAIL_SIZE = 320;
+
+// The only file types served from data roots
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.tiff': 'image/tiff',
+  '.tif': 'image/tiff'
+};
+
+const getMimeType = (filename) => IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+const isImageFile = (filename) => Boolean(IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()]);
+
+// Map a requested filename to its _2x variant when a downsampled resolution is asked for
+const getRequestedFilename = (filename, resolution) => {
+  if (resolution !== 'downsampled' && resolution !== '2x') {
+    return filename;
+  }
+
+  const ext = path.extname(filename);
+  const base = path.basename(filename, ext);
+
+  // Check if it already has _2x suffix (direct access)
+  return base.endsWith('_2x') ? filename : `${base}_2x${ext}`;
+};
+
+// Thumbnails are always JPEG, whatever the source format
+const getThumbnailFilename = (filename) =>
+  `${path.basename(filename, path.extname(filename))}${THUMBNAIL_SUFFIX}.jpg`;
+
+// Downsampled versions and thumbnails are derived files, not dataset images
+const isDerivedImage = (filename) => {
+  const base = path.basename(filename, path.extname(filename));
+  return base.endsWith('_2x') || base.endsWith(THUMBNAIL_SUFFIX);
+};
+
+// A decoded URL path segment naming a folder or file: no traversal, separators or hidden entries
+const isSafeSegment = (segment) =>
+  typeof segment === 'string' && segment.length > 0 && !segment.startsWith('.') && !/[/\\\0]/.test(segment);
+
+const ACCESS_DENIED = { status: 403, error: 'Access denied' };
+
+// Build a resolver for image URL paths (<dataRoot>/<folder>/[no_veg_filter/]<file>, as
+// generated by the dataset index) that only reaches image files inside registered
+// data roots. The resolver takes the path segments and an optional ?resolution= and
+// resolves to { fullPath, project, fallback } or { status, error }. Missing
+// vegetation-filtered images fall back to the unfiltered version (fallback: true);
+// whether the file exists is otherwise left to the caller.
+const createImageResolver = (projectRegistry, appRoot) => {
+  // Longest data roots first, so nested roots match the most specific project
+  const roots = projectRegistry.projects
+    .map(project => ({
+      project,
+      segments: project.dataRoot.split('/'),
+      directory: path.resolve(appRoot, project.dataRoot)
+    }))
+    .sort((a, b) => b.segments.length - a.segments.length);
+
+  return async (segments, resolution) => {
+    if (!Array.isArray(segments) || !segments.every(isSafeSegment)) {
+      return ACCESS_DENIED;
+    }
+
+    const root = roots.find(candidate => candidate.segments.length < segments.length &&
+      candidate.segments.every((segment, index) => segment === segments[index]));
+    if (!root) {
+      return ACCESS_DENIED;
+    }
+
+    const folders = segments.slice(root.segments.length, -1);
+    const filename = getRequestedFilename(segments[segments.length - 1], resolution);
+    const fullPath = path.join(root.directory, ...folders, filename);
+    if (!isImageFile(filename) || !fullPath.startsWith(root.directory + path.sep)) {
+      return ACCESS_DENIED;
+    }
+
+    if (folders[folders.length - 1] === VEG_FILTER_FOLDER) {
+      try {
+        await fs.promises.access(fullPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return {
+          fullPath: path.join(root.directory, ...folders.slice(0, -1), filename),
+          project: root.project,
+          fallback: true
+        };
+      }
+    }
+
+    return { fullPath, project: root.project, fallback: false };
+  };
+};
+
+module.exports = {
+  VEG_FILTER_FOLDER,
+  THUMBNAIL_SIZE,
+  createImageResolver,
+  getMimeType,
+  getRequestedFilename,
+  getThumbnailFilename,
+  isDerivedImage
+};
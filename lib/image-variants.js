@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('./config');
+const { DiskCache } = require('./disk-cache');
+
+// Largest width/height a client may ask for
+const MAX_VARIANT_DIMENSION = 8192;
+
+// Formats sharp can write, with the MIME type they are served as and the longest side
+// they can hold (sharp refuses to write larger images)
+const OUTPUT_FORMATS = {
+  avif: { mimeType: 'image/avif', options: { quality: 50, effort: 2 }, maxDimension: 16384 },
+  webp: { mimeType: 'image/webp', options: { quality: 80 }, maxDimension: 16383 },
+  jpeg: { mimeType: 'image/jpeg', options: { quality: 82, progressive: true, mozjpeg: true }, maxDimension: 65535 },
+  png: { mimeType: 'image/png', options: { compressionLevel: 8 } }
+};
+
+// Source types that may be resized/converted (GIFs and unknown files are always served as-is)
+const SOURCE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/tiff': 'jpeg' // Browsers cannot display TIFF, so resized TIFFs become JPEG
+};
+
+// Negotiated formats in order of preference; IMAGE_FORMATS=avif,webp favours AVIF
+// (smaller files, but noticeably slower to generate on first request)
+const NEGOTIATED_FORMATS = config.imageFormats
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(format => format === 'webp' || format === 'avif');
+
+// Whether images of a MIME type can be resized and converted at all
+const isConvertible = (mimeType) => Boolean(SOURCE_FORMATS[mimeType]);
+
+const parseDimension = (value) => {
+  if (value === undefined) return null;
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return NaN;
+  const number = parseInt(value, 10);
+  return number >= 1 && number <= MAX_VARIANT_DIMENSION ? number : NaN;
+};
+
+// Whether an Accept header explicitly lists a MIME type (wildcards do not count, q=0 rules it out)
+const acceptsType = (acceptHeader, mimeType) => (acceptHeader || '')
+  .split(',')
+  .map(part => part.trim().split(';'))
+  .some(([type, ...params]) => type.trim().toLowerCase() === mimeType &&
+    !params.some(param => /^\s*q\s*=\s*0(\.0*)?\s*$/.test(param)));
+
+// Longest side of the variant of a sourceSize ({ width, height }) image resized to fit
+// width x height, or null if the source size is not known
+const variantDimension = (sourceSize, width, height) => {
+  if (!sourceSize || !sourceSize.width || !sourceSize.height) return null;
+  const scale = Math.min(1,
+    width ? width / sourceSize.width : Infinity,
+    height ? height / sourceSize.height : Infinity);
+  return Math.round(Math.max(sourceSize.width, sourceSize.height) * scale);
+};
+
+const fitsFormat = (format, dimension) => {
+  const { maxDimension } = OUTPUT_FORMATS[format];
+  return !maxDimension || dimension === null || dimension <= maxDimension;
+};
+
+// Work out which variant of an image a request asks for. Returns
+// { variant: null } to serve the file unchanged, { variant: { width, height, format } }
+// to serve a generated variant, or { error } for invalid parameters. `negotiated`
+// tells the caller the response depends on the Accept header (for Vary). Formats the
+// image is too large for (sourceSize being its { width, height }) are not negotiated.
+const resolveVariant = (query, acceptHeader, sourceMimeType, isRangeRequest = false, sourceSize = null) => {
+  const sourceFormat = SOURCE_FORMATS[sourceMimeType];
+  const width = parseDimension(query.w);
+  const height = parseDimension(query.h);
+
+  if (Number.isNaN(width) || Number.isNaN(height)) {
+    return { error: `w and h must be whole numbers between 1 and ${MAX_VARIANT_DIMENSION}` };
+  }
+
+  const requestedFormat = query.format;
+  if (requestedFormat !== undefined && requestedFormat !== 'original' && !OUTPUT_FORMATS[requestedFormat]) {
+    return { error: `format must be one of original, ${Object.keys(OUTPUT_FORMATS).join(', ')}` };
+  }
+
+  if (!sourceFormat) {
+    return { variant: null, negotiated: false };
+  }
+
+  const dimension = variantDimension(sourceSize, width, height);
+  let format = null;
+  let negotiated = false;
+  if (requestedFormat && requestedFormat !== 'original') {
+    if (!fitsFormat(requestedFormat, dimension)) {
+      return { error: `${requestedFormat} images are at most ${OUTPUT_FORMATS[requestedFormat].maxDimension} pixels wide and high; pass a smaller w or h` };
+    }
+    format = requestedFormat;
+  } else if (!requestedFormat && !(isRangeRequest && !width && !height)) {
+    // Range requests for the untouched file keep working against the original bytes
+    negotiated = true;
+    format = NEGOTIATED_FORMATS.find(candidate => fitsFormat(candidate, dimension) &&
+      acceptsType(acceptHeader, OUTPUT_FORMATS[candidate].mimeType)) || null;
+  }
+
+  if (!width && !height && (!format || format === sourceFormat)) {
+    return { variant: null, negotiated };
+  }
+
+  return {
+    variant: { width, height, format: format || sourceFormat },
+    negotiated
+  };
+};
+
+// On-disk cache of resized/re-encoded images, generated with sharp on first request
+class ImageVariantCache extends DiskCache {
+  constructor({ directory, maxBytes }) {
+    super({ directory, maxBytes, description: 'cached image variant' });
+  }
+
+  async restore(file, filePath) {
+    const stats = await fs.promises.stat(filePath);
+    return { size: stats.size, lastUsed: stats.atimeMs };
+  }
+
+  // Cache filenames change whenever the source file or the requested variant does
+  cacheFilename(sourcePath, stats, { width, height, format }) {
+    const hash = crypto.createHash('sha1')
+      .update(`${sourcePath}:${stats.mtimeMs}:${stats.size}:${width || ''}x${height || ''}`)
+      .digest('hex');
+    return `${hash}.${format}`;
+  }
+
+  // Return { path, size, mimeType } of the variant, generating it if needed
+  get(sourcePath, stats, variant) {
+    const file = this.cacheFilename(sourcePath, stats, variant);
+    return this.getOrGenerate(file, OUTPUT_FORMATS[variant.format].mimeType,
+      (outputPath) => this.generate(sourcePath, outputPath, variant));
+  }
+
+  // Look up a cached file by name, or create it with generate(outputPath) → size in bytes.
+  // Also used for images derived from several sources, such as difference maps.
+  async getOrGenerate(file, mimeType, generate) {
+    const filePath = path.join(this.directory, file);
+    const { size } = await this.getOrCreate(file, async () => {
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        const generatedSize = await generate(tempPath);
+        await fs.promises.rename(tempPath, filePath);
+        return { size: generatedSize };
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+    });
+    return { path: filePath, size, mimeType };
+  }
+
+  async generate(sourcePath, outputPath, { width, height, format }) {
+    let pipeline = sharp(sourcePath).rotate(); // Bake in EXIF orientation; metadata is not copied
+
+    if (width || height) {
+      pipeline = pipeline.resize({
+        width: width || undefined,
+        height: height || undefined,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+    }
+
+    const info = await pipeline.toFormat(format, OUTPUT_FORMATS[format].options).toFile(outputPath);
+    return info.size;
+  }
+}
+
+module.exports = {
+  ImageVariantCache,
+  isConvertible,
+  resolveVariant
+};
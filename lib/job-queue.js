@@ -0,0 +1,140 @@
+const { EventEmitter } = require('events');
+
+// Finished jobs kept for the job list; older ones are forgotten
+const MAX_FINISHED_JOBS = 50;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// In-memory queue of long-running server jobs (such as regenerating derivatives).
+// Handlers are registered per job type and run at most `concurrency` at a time.
+// A handler is called as handler(params, { signal, progress }) and should stop
+// early once signal.aborted is set. Emits 'job' with the job's JSON whenever a
+// job is queued, starts, reports progress or finishes.
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = 1 } = {}) {
+    super();
+    this.concurrency = Math.max(1, concurrency);
+    this.handlers = new Map(); // type -> handler
+    this.jobs = new Map(); // id -> job, in creation order
+    this.queue = []; // Queued jobs, oldest first
+    this.running = 0;
+    this.nextId = 1;
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  hasType(type) {
+    return this.handlers.has(type);
+  }
+
+  enqueue(type, params, { createdBy = null } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: String(this.nextId++),
+      type,
+      params,
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController()
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.notify(job);
+    this.runNext();
+    return this.toJSON(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  list() {
+    return [...this.jobs.values()].reverse().map(job => this.toJSON(job));
+  }
+
+  // Cancel a job: queued jobs are dropped at once, running ones are asked to stop
+  // and become 'cancelled' when their handler returns. Returns the job's JSON, or
+  // null if it does not exist.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return job ? this.toJSON(job) : null;
+    }
+
+    job.controller.abort();
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, 'cancelled');
+    } else {
+      job.status = 'cancelling';
+      this.notify(job);
+    }
+    return this.toJSON(job);
+  }
+
+  runNext() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.notify(job);
+
+    const { signal } = job.controller;
+    const progress = (update) => {
+      job.progress = { ...job.progress, ...update };
+      this.notify(job);
+    };
+
+    try {
+      job.result = await this.handlers.get(job.type)(job.params, { signal, progress });
+      this.finish(job, signal.aborted ? 'cancelled' : 'completed');
+    } catch (error) {
+      job.error = error.message;
+      this.finish(job, signal.aborted ? 'cancelled' : 'failed');
+    } finally {
+      this.running--;
+      this.runNext();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.notify(job);
+
+    // Forget the oldest finished jobs beyond the limit
+    const finished = [...this.jobs.values()].filter(candidate => FINISHED_STATUSES.includes(candidate.status));
+    for (const old of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(old.id);
+    }
+  }
+
+  notify(job) {
+    this.emit('job', this.toJSON(job));
+  }
+
+  toJSON({ controller, ...job }) {
+    return job;
+  }
+}
+
+module.exports = {
+  JobQueue
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Identifies what was read from a file, so unchanged files are not parsed again
+const fileVersion = (stat) => `${stat.mtimeMs}:${stat.size}`;
+
+const temporaryName = (file) => `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+// Read a JSON file unless it is still the version read last time. Returns
+// { changed: false } if it is, otherwise { changed: true, version, data }, data being
+// null if the file does not exist. `description` names the contents in errors.
+const readJsonFileSync = (file, lastVersion, description) => {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return { changed: true, version: null, data: null };
+  }
+  const version = fileVersion(stat);
+  if (version === lastVersion) {
+    return { changed: false };
+  }
+
+  try {
+    return { changed: true, version, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (error) {
+    throw new Error(`Failed to read ${description} from ${file}: ${error.message}`);
+  }
+};
+
+// Files are written to a temporary file next to them and renamed into place, so a
+// reader (or the next start after a crash) never sees half a file. Both are readable
+// by the server's user only.
+
+// Write a file people may also read or edit (indented); returns its new version
+const writeJsonFileSync = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = temporaryName(file);
+  fs.writeFileSync(temporary, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(temporary, file);
+  return fileVersion(fs.statSync(file));
+};
+
+// Write a file only the server reads (compact), in a directory that already exists
+const writeJsonFile = async (file, data) => {
+  const temporary = temporaryName(file);
+  await fs.promises.writeFile(temporary, JSON.stringify(data), { mode: 0o600 });
+  await fs.promises.rename(temporary, file);
+};
+
+module.exports = {
+  readJsonFileSync,
+  writeJsonFile,
+  writeJsonFileSync
+};
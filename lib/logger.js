@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const pino = require('pino');
+const config = require('./config');
+const { routeLabel } = require('./metrics');
+
+// Logs are JSON lines on stdout, or with LOG_FILE set in rotated files: a new file each
+// day (LOG_ROTATE_FREQUENCY=hourly for hourly) or once LOG_MAX_SIZE is reached, keeping
+// LOG_MAX_FILES old files. LOG_FILE is a base path, e.g. logs/server becomes
+// logs/server.2024-05-01.1.log
+const createDestination = () => {
+  if (!config.log.file) {
+    return pino.destination(1);
+  }
+
+  return pino.transport({
+    target: 'pino-roll',
+    options: {
+      file: config.log.file,
+      frequency: config.log.rotateFrequency,
+      size: config.log.maxSize,
+      dateFormat: 'yyyy-MM-dd',
+      extension: '.log',
+      mkdir: true,
+      limit: { count: config.log.maxFiles }
+    }
+  });
+};
+
+// LOG_LEVEL: fatal, error, warn, info (default), debug or trace
+const logger = pino({
+  level: config.log.level,
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label })
+  }
+}, createDestination());
+
+// Request ids from a proxy (X-Request-Id) are kept if they look like ids
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// Give every request an id and a child logger (req.log) that tags its lines with it, and
+// write one access log line per request once its connection is done with it
+const logRequests = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ reqId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  const { socket } = req;
+  const bytesBefore = socket.bytesWritten;
+
+  res.once('close', () => {
+    const entry = {
+      user: req.user?.username || null,
+      apiToken: req.apiToken?.id, // Left out of the line for browser sessions
+      method: req.method,
+      url: req.originalUrl,
+      route: routeLabel(req),
+      status: res.statusCode,
+      bytesSent: socket.bytesWritten - bytesBefore, // Headers included
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ip: req.ip
+    };
+    if (!res.writableFinished) {
+      entry.aborted = true; // Client went away before the response was complete
+    }
+    req.log[res.statusCode >= 500 ? 'error' : 'info'](entry, 'request');
+  });
+
+  next();
+};
+
+module.exports = {
+  logger,
+  logRequests
+};
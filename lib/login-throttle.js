@@ -0,0 +1,160 @@
+// Failures are forgotten this long after the last one, unless a lockout lasts longer
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// Tracked keys beyond this are dropped oldest first, so a flood of made-up usernames
+// cannot grow the table without bound
+const MAX_TRACKED_KEYS = 10000;
+
+// Failed login tracking per username and per client IP. Every failure for a username
+// or from an IP makes its next attempt wait twice as long as the one before (1s, 2s,
+// 4s, ... up to maxDelayMs), and maxFailures lock a username out for lockoutMs. IPs may
+// be shared by many users (an office behind one NAT), so they are locked out only after
+// maxFailuresPerIp failures across all usernames.
+// Usernames are tracked whether or not the account exists, so lockouts do not reveal
+// which accounts do.
+class LoginThrottle {
+  constructor({
+    maxFailures = 5,
+    maxFailuresPerIp = 20,
+    lockoutMs = 15 * 60 * 1000,
+    baseDelayMs = 1000,
+    maxDelayMs = 60 * 1000,
+    now = Date.now
+  } = {}) {
+    this.limits = { user: maxFailures, ip: maxFailuresPerIp };
+    this.lockoutMs = lockoutMs;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = Math.min(maxDelayMs, lockoutMs);
+    this.now = now;
+    this.entries = new Map(); // "ip:<address>" or "user:<name>" -> { type, id, failures, lastFailure, blockedUntil, locked }
+    this.inFlight = new Set(); // Keys with an attempt being checked, see begin()
+  }
+
+  static keysFor(ip, username) {
+    const keys = [{ type: 'ip', id: String(ip || 'unknown') }];
+    const name = String(username || '').trim().toLowerCase();
+    if (name) {
+      keys.push({ type: 'user', id: name });
+    }
+    return keys;
+  }
+
+  // Milliseconds until the IP and username may try again (0 if they may now), and
+  // whether that wait is a lockout rather than backoff
+  check(ip, username) {
+    this.prune();
+    const now = this.now();
+    let retryAfterMs = 0;
+    let locked = false;
+    for (const { type, id } of LoginThrottle.keysFor(ip, username)) {
+      const entry = this.entries.get(`${type}:${id}`);
+      if (entry && entry.blockedUntil > now && entry.blockedUntil - now > retryAfterMs) {
+        retryAfterMs = entry.blockedUntil - now;
+        locked = entry.locked;
+      }
+    }
+    return { retryAfterMs, locked };
+  }
+
+  // Start an attempt: like check(), but while the password is being verified further
+  // attempts for the same username wait too, so parallel requests cannot slip through
+  // before the first failure is counted. Other usernames from the same IP are not held
+  // up. Finish with recordFailure(), recordSuccess() or release().
+  begin(ip, username) {
+    const wait = this.check(ip, username);
+    const keys = LoginThrottle.userKeys(username);
+    if (wait.retryAfterMs === 0 && keys.some(key => this.inFlight.has(key))) {
+      return { retryAfterMs: this.baseDelayMs, locked: false };
+    }
+    if (wait.retryAfterMs === 0) {
+      keys.forEach(key => this.inFlight.add(key));
+    }
+    return wait;
+  }
+
+  release(ip, username) {
+    LoginThrottle.userKeys(username).forEach(key => this.inFlight.delete(key));
+  }
+
+  static userKeys(username) {
+    return LoginThrottle.keysFor(null, username)
+      .filter(({ type }) => type === 'user')
+      .map(({ type, id }) => `${type}:${id}`);
+  }
+
+  // Count a failed attempt; returns the resulting check() and the keys newly locked out
+  recordFailure(ip, username) {
+    this.release(ip, username);
+    const now = this.now();
+    const lockedOut = [];
+    for (const { type, id } of LoginThrottle.keysFor(ip, username)) {
+      const key = `${type}:${id}`;
+      const entry = this.entries.get(key) || { type, id, failures: 0, lastFailure: 0, blockedUntil: 0, locked: false };
+      entry.failures++;
+      entry.lastFailure = now;
+
+      if (entry.failures >= this.limits[type]) {
+        lockedOut.push({ type, id, failures: entry.failures });
+        entry.locked = true;
+        entry.blockedUntil = now + this.lockoutMs;
+        entry.failures = 0; // After the lockout, the count starts over
+      } else {
+        const delay = Math.min(this.baseDelayMs * 2 ** (entry.failures - 1), this.maxDelayMs);
+        entry.locked = entry.locked && entry.blockedUntil > now;
+        entry.blockedUntil = Math.max(entry.blockedUntil, now + delay);
+      }
+
+      // Re-inserted so the map stays ordered by last failure for pruning
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    this.prune();
+    return { ...this.check(ip, username), lockedOut };
+  }
+
+  // A successful login clears the username's failures; the IP's stay until they expire,
+  // so one valid account cannot be used to keep guessing others from the same address
+  recordSuccess(ip, username) {
+    this.release(ip, username);
+    LoginThrottle.userKeys(username).forEach(key => this.entries.delete(key));
+  }
+
+  // Currently locked out or backed-off IPs and usernames, longest wait first
+  list() {
+    this.prune();
+    const now = this.now();
+    return [...this.entries.values()]
+      .filter(entry => entry.blockedUntil > now)
+      .map(({ type, id, failures, lastFailure, blockedUntil, locked }) => ({
+        type,
+        id,
+        locked,
+        failures,
+        lastFailure: new Date(lastFailure).toISOString(),
+        blockedUntil: new Date(blockedUntil).toISOString(),
+        retryAfterSeconds: Math.ceil((blockedUntil - now) / 1000)
+      }))
+      .sort((a, b) => b.retryAfterSeconds - a.retryAfterSeconds);
+  }
+
+  // Lift a lockout and forget the failures; returns false if nothing was tracked
+  clear(type, id) {
+    return this.entries.delete(`${type}:${id}`);
+  }
+
+  prune() {
+    const now = this.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.blockedUntil <= now && now - entry.lastFailure > FAILURE_WINDOW_MS) {
+        this.entries.delete(key);
+      }
+    }
+    while (this.entries.size > MAX_TRACKED_KEYS) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = {
+  LoginThrottle
+};
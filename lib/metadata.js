@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Optional sidecar in a dataset folder (per-dataset) or in a data root (per-project defaults)
+const METADATA_SIDECAR = 'metadata.json';
+
+// Read a JSON sidecar from a folder; a missing file is not an error
+const readJsonSidecar = async (folderPath, filename) => {
+  try {
+    const raw = await fs.promises.readFile(path.join(folderPath, filename), 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn({ file: path.join(folderPath, filename), err: error }, 'Ignoring invalid sidecar');
+    }
+    return null;
+  }
+};
+
+// Only plain objects are accepted as metadata
+const asMetadataObject = (value) => (
+  value && typeof value === 'object' && !Array.isArray(value) ? value : {}
+);
+
+// Dataset values win over project defaults; null clears a default
+const mergeMetadata = (projectDefaults, datasetMetadata) => {
+  const merged = { ...asMetadataObject(projectDefaults), ...asMetadataObject(datasetMetadata) };
+  for (const key of Object.keys(merged)) {
+    if (merged[key] === null) {
+      delete merged[key];
+    }
+  }
+  return Object.keys(merged).length > 0 ? merged : null;
+};
+
+module.exports = {
+  METADATA_SIDECAR,
+  readJsonSidecar,
+  mergeMetadata
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+
+// Everything /metrics reports, including Node's process metrics (memory, event loop lag, GC)
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time until the response was sent or the connection closed, by method and route',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const imageBytes = new client.Counter({
+  name: 'image_bytes_sent_total',
+  help: 'Image bytes sent in full by serveOptimizedImage, for original files and generated variants',
+  labelNames: ['kind'],
+  registers: [register]
+});
+
+const imageResponses = new client.Counter({
+  name: 'image_responses_total',
+  help: 'serveOptimizedImage responses by status code (200, 206, 304, 416, ...)',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const imageRangeRequests = new client.Counter({
+  name: 'image_range_requests_total',
+  help: 'Image requests with a Range header',
+  registers: [register]
+});
+
+const loginFailures = new client.Counter({
+  name: 'login_failures_total',
+  help: 'Rejected login attempts',
+  registers: [register]
+});
+
+const loginLockouts = new client.Counter({
+  name: 'login_lockouts_total',
+  help: 'IPs and usernames locked out after too many failed logins, by type (ip or user)',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+const loginThrottled = new client.Counter({
+  name: 'login_throttled_total',
+  help: 'Login attempts refused with 429 because of backoff or a lockout',
+  registers: [register]
+});
+
+// Route pattern of a request (e.g. /api/image/*imagePath) so labels stay few;
+// static files are labelled by their mount path and anything unrouted shares one label
+const routeLabel = (req) => {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl || 'unmatched';
+};
+
+// Middleware counting and timing every request once its connection is done with it
+const observeRequests = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+  res.once('close', () => {
+    const route = routeLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    stopTimer({ method: req.method, route });
+  });
+  next();
+};
+
+// Count an image response and, once it has been sent completely, its bytes. Variants
+// set res.locals.imageKind = 'variant' before responding.
+const observeImageResponse = (req, res) => {
+  if (req.headers.range) {
+    imageRangeRequests.inc();
+  }
+  res.once('finish', () => {
+    imageResponses.inc({ status: res.statusCode });
+    const length = parseInt(res.get('Content-Length'), 10);
+    if ((res.statusCode === 200 || res.statusCode === 206) && req.method !== 'HEAD' && length > 0) {
+      imageBytes.inc({ kind: res.locals.imageKind || 'original' }, length);
+    }
+  });
+};
+
+// Gauges read from the running server each time /metrics is scraped
+const observeServerState = ({ sessionStore, datasetIndex }) => {
+  new client.Gauge({
+    name: 'sessions_active',
+    help: 'Sessions in the session store that have not expired, logged in or anonymous (login page visits)',
+    labelNames: ['state'],
+    registers: [register],
+    async collect() {
+      const records = await sessionStore.list().catch(() => []);
+      const loggedIn = records.filter(record => record.session.authenticated).length;
+      this.set({ state: 'logged_in' }, loggedIn);
+      this.set({ state: 'anonymous' }, records.length - loggedIn);
+    }
+  });
+
+  new client.Gauge({
+    name: 'dataset_index_datasets',
+    help: 'Datasets in the in-memory index, by project',
+    labelNames: ['project'],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const [projectId, state] of datasetIndex.projects) {
+        this.set({ project: projectId }, state.datasets.size);
+      }
+    }
+  });
+};
+
+// GET /metrics in Prometheus text format, for scrapers presenting
+// "Authorization: Bearer <token>"; without a token configured it does not exist
+const createMetricsHandler = (token) => async (req, res) => {
+  if (!token) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const given = crypto.createHash('sha256')
+    .update((req.headers.authorization || '').replace(/^Bearer\s+/i, ''))
+    .digest();
+  if (!crypto.timingSafeEqual(expected, given)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    req.log.error({ err: error }, 'Error collecting metrics');
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+};
+
+module.exports = {
+  routeLabel,
+  loginFailures,
+  loginLockouts,
+  loginThrottled,
+  observeRequests,
+  observeImageResponse,
+  observeServerState,
+  createMetricsHandler
+};
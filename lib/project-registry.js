@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { DIFFERENCE_MODES } = require('./difference-image');
+
+// Default location of the registry, relative to the application root
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'projects.json');
+
+// Defaults applied to every project entry before its own settings
+const DEFAULT_PAIRING = {
+  folderSort: 'numeric', // 'numeric' (1, 2, 10) or 'alphabetical'
+  imageExtensions: ['.jpg', '.png'],
+  changeMapPrefix: null, // e.g. 'SSI_coeff_' for folders shipping an SSI map
+  prePattern: null, // optional regex picking the pre-event image by filename
+  postPattern: null // optional regex picking the post-event image by filename
+};
+
+const DEFAULT_LAYERS = {
+  ssiMap: false,
+  vegetationFilter: false,
+  differenceMap: false // or 'absolute' / 'normalized' to generate difference images from each pair
+};
+
+// How change map pixels translate into SSI coefficients for /api/change-stats
+const DEFAULT_STATS = {
+  valueRange: [0, 1], // coefficient at pixel value 0 and 255
+  bins: 32,
+  thresholds: [0.25, 0.5, 0.75], // report the fraction of pixels below each
+  scoreThreshold: 0.5 // a dataset's change score is the fraction of pixels below this
+};
+
+const isNumberList = (value) => Array.isArray(value) && value.every(item => typeof item === 'number' && Number.isFinite(item));
+
+const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Validate a single registry entry and fill in defaults
+const normalizeProject = (entry, index) => {
+  const where = `projects[${index}]`;
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Project registry: ${where} must be an object`);
+  }
+  if (typeof entry.id !== 'string' || !PROJECT_ID_PATTERN.test(entry.id)) {
+    throw new Error(`Project registry: ${where}.id must be a simple identifier (letters, digits, "-" or "_")`);
+  }
+  if (typeof entry.dataRoot !== 'string' || !entry.dataRoot.trim()) {
+    throw new Error(`Project registry: ${where}.dataRoot is required for project "${entry.id}"`);
+  }
+
+  const pairing = { ...DEFAULT_PAIRING, ...(entry.pairing || {}) };
+  pairing.imageExtensions = pairing.imageExtensions.map(ext => ext.toLowerCase());
+
+  // Compile filename patterns once so the dataset builder can reuse them
+  for (const key of ['prePattern', 'postPattern']) {
+    if (pairing[key]) {
+      try {
+        pairing[key] = new RegExp(pairing[key], 'i');
+      } catch (error) {
+        throw new Error(`Project registry: ${where}.pairing.${key} is not a valid regular expression (${error.message})`);
+      }
+    }
+  }
+
+  const layers = { ...DEFAULT_LAYERS, ...(entry.layers || {}) };
+
+  // An SSI layer without a filename prefix could never match anything
+  if (layers.ssiMap && !pairing.changeMapPrefix) {
+    throw new Error(`Project registry: project "${entry.id}" enables the ssiMap layer but has no pairing.changeMapPrefix`);
+  }
+
+  // true is shorthand for the default (absolute) difference
+  if (layers.differenceMap === true) {
+    layers.differenceMap = DIFFERENCE_MODES[0];
+  }
+  if (layers.differenceMap && !DIFFERENCE_MODES.includes(layers.differenceMap)) {
+    throw new Error(`Project registry: ${where}.layers.differenceMap must be false, true or one of ${DIFFERENCE_MODES.join(', ')}`);
+  }
+
+  const stats = { ...DEFAULT_STATS, ...(entry.stats || {}) };
+  if (!isNumberList(stats.valueRange) || stats.valueRange.length !== 2 || stats.valueRange[0] >= stats.valueRange[1]) {
+    throw new Error(`Project registry: ${where}.stats.valueRange must be [min, max] with min < max`);
+  }
+  if (!Number.isInteger(stats.bins) || stats.bins < 1 || stats.bins > 256) {
+    throw new Error(`Project registry: ${where}.stats.bins must be a whole number between 1 and 256`);
+  }
+  if (!isNumberList(stats.thresholds)) {
+    throw new Error(`Project registry: ${where}.stats.thresholds must be a list of numbers`);
+  }
+  if (!isNumberList([stats.scoreThreshold])) {
+    throw new Error(`Project registry: ${where}.stats.scoreThreshold must be a number`);
+  }
+
+  return {
+    id: entry.id,
+    label: entry.label || entry.id,
+    // Data roots are relative to the application directory and double as the URL base path
+    dataRoot: entry.dataRoot.replace(/\\/g, '/').replace(/^\.\/|\/+$/g, ''),
+    pairing,
+    layers,
+    stats
+  };
+};
+
+// Load and validate the project registry file
+const loadProjectRegistry = (registryPath = process.env.PROJECTS_CONFIG || DEFAULT_REGISTRY_PATH) => {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load project registry from ${registryPath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(raw) ? raw : raw.projects;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Project registry ${registryPath} must declare at least one project`);
+  }
+
+  const projects = entries.map(normalizeProject);
+  const byId = new Map();
+  for (const project of projects) {
+    if (byId.has(project.id)) {
+      throw new Error(`Project registry: duplicate project id "${project.id}"`);
+    }
+    byId.set(project.id, project);
+  }
+
+  return {
+    projects,
+
+    getProject(id) {
+      return byId.get(id) || null;
+    },
+
+    // Client-facing description (data roots and pairing internals stay on the server)
+    toPublicJSON() {
+      return projects.map(({ id, label, layers }) => ({ id, label, layers }));
+    }
+  };
+};
+
+// Sort dataset folder names according to a project's pairing rules
+const sortFolders = (folders, pairing) => {
+  if (pairing.folderSort === 'alphabetical') {
+    return folders.sort((a, b) => a.localeCompare(b));
+  }
+
+  return folders.sort((a, b) => {
+    const aNum = parseInt(a);
+    const bNum = parseInt(b);
+    if (isNaN(aNum) || isNaN(bNum)) return a.localeCompare(b);
+    return aNum - bNum;
+  });
+};
+
+// Pick the pre- and post-event images out of a folder's candidate images
+const selectImagePair = (images, pairing) => {
+  const sortedImages = [...images].sort();
+
+  if (pairing.prePattern || pairing.postPattern) {
+    const pre = pairing.prePattern ? sortedImages.find(f => pairing.prePattern.test(f)) : null;
+    const post = pairing.postPattern ? sortedImages.find(f => pairing.postPattern.test(f) && f !== pre) : null;
+    const rest = sortedImages.filter(f => f !== pre && f !== post);
+
+    const preEvent = pre || rest.shift();
+    const postEvent = post || rest.shift();
+    return preEvent && postEvent ? { preEvent, postEvent } : null;
+  }
+
+  if (sortedImages.length < 2) return null;
+  return { preEvent: sortedImages[0], postEvent: sortedImages[1] };
+};
+
+module.exports = {
+  loadProjectRegistry,
+  sortFolders,
+  selectImagePair
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Inline <script> and <style> blocks (without src) of a page
+const INLINE_BLOCK = /<(script|style)>([\s\S]*?)<\/\1>/g;
+
+// CSP hash sources ('sha256-...') for the inline scripts and styles of the given pages,
+// so the policy allows exactly those blocks and no others. Worked out from the files
+// at startup, so editing a page only needs a restart.
+const inlineHashes = (files) => {
+  const hashes = { script: new Set(), style: new Set() };
+  for (const file of files) {
+    for (const [, tag, content] of fs.readFileSync(file, 'utf8').matchAll(INLINE_BLOCK)) {
+      hashes[tag].add(`'sha256-${crypto.createHash('sha256').update(content).digest('base64')}'`);
+    }
+  }
+  return { script: [...hashes.script], style: [...hashes.style] };
+};
+
+// Content-Security-Policy for the app: scripts, styles, images and requests from this
+// server only (plus the login page's web font), no plugins and no framing. Inline style
+// attributes are not allowed, so pages and app.js style elements through classes.
+const contentSecurityPolicy = (pages) => {
+  const hashes = inlineHashes(pages);
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", ...hashes.script],
+    'style-src': ["'self'", ...hashes.style, 'https://fonts.googleapis.com'],
+    'font-src': ["'self'", 'https://fonts.gstatic.com'],
+    'img-src': ["'self'", 'data:', 'blob:'], // Feature probes and cached images are data: and blob: URLs
+    'connect-src': ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"]
+  };
+  return Object.entries(directives).map(([name, sources]) => `${name} ${sources.join(' ')}`).join('; ');
+};
+
+// Security headers on every response. mode 'report-only' sends the CSP as
+// Content-Security-Policy-Report-Only, so violations show in the browser console
+// without anything being blocked; 'off' leaves the CSP out.
+const securityHeaders = ({ pages, mode = 'enforce' }) => {
+  const policy = contentSecurityPolicy(pages);
+  const cspHeader = mode === 'report-only' ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+
+  return (req, res, next) => {
+    if (mode !== 'off') {
+      res.set(cspHeader, policy);
+    }
+    res.set('X-Frame-Options', 'DENY');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Referrer-Policy', 'same-origin');
+    next();
+  };
+};
+
+module.exports = {
+  contentSecurityPolicy,
+  securityHeaders
+};
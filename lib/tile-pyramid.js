@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { DiskCache } = require('./disk-cache');
+
+// Deep Zoom (DZI) layout: level 0 is 1x1 pixel, each level doubles, the last is full resolution
+const TILE_SIZE = 256;
+const TILE_OVERLAP = 1; // Overlapping edge pixels hide seams between scaled tiles
+const TILE_FORMAT = 'jpeg';
+const TILE_OPTIONS = { quality: 85, progressive: false };
+
+// Written next to the tiles once a pyramid is complete
+const DESCRIPTOR_FILE = 'pyramid.json';
+const TILES_FOLDER = 'image_files';
+
+// Sum the size of every file below a directory
+const directorySize = async (dirPath) => {
+  let total = 0;
+  const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else {
+      total += (await fs.promises.stat(entryPath)).size;
+    }
+  }
+  return total;
+};
+
+// On-disk cache of tile pyramids, one directory per source image version.
+// Pyramids are generated with sharp on first request, one at a time.
+class TilePyramidCache extends DiskCache {
+  constructor({ directory, maxBytes }) {
+    super({ directory, maxBytes, description: 'tile pyramid' });
+    this.queue = Promise.resolve(); // Generation is CPU-heavy, so pyramids are built sequentially
+  }
+
+  // Pyramids are complete once their descriptor is written; others are from an interrupted run
+  async restore(name, pyramidPath) {
+    const descriptor = JSON.parse(await fs.promises.readFile(path.join(pyramidPath, DESCRIPTOR_FILE), 'utf8'));
+    const stats = await fs.promises.stat(pyramidPath);
+    return { size: descriptor.bytes, value: descriptor, lastUsed: stats.atimeMs };
+  }
+
+  // Pyramid directories change whenever the source file does
+  pyramidName(sourcePath, stats) {
+    return crypto.createHash('sha1')
+      .update(`${sourcePath}:${stats.mtimeMs}:${stats.size}`)
+      .digest('hex');
+  }
+
+  // Return { name, descriptor } of the source image's pyramid, generating it if needed
+  async get(sourcePath, stats) {
+    const name = this.pyramidName(sourcePath, stats);
+    const { value: descriptor } = await this.getOrCreate(name, () => {
+      const generation = this.queue
+        .catch(() => {})
+        .then(() => this.generate(sourcePath, name))
+        .then(generated => ({ size: generated.bytes, value: generated }));
+      this.queue = generation;
+      return generation;
+    });
+    return { name, descriptor };
+  }
+
+  // Path of a single tile, or null if the pyramid is unknown or the tile is out of range
+  tilePath(name, level, col, row) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+
+    const { width, height, tileSize, maxLevel, format } = entry.value;
+    if (level < 0 || level > maxLevel) return null;
+
+    const levelScale = 2 ** (maxLevel - level);
+    const cols = Math.ceil(Math.ceil(width / levelScale) / tileSize);
+    const rows = Math.ceil(Math.ceil(height / levelScale) / tileSize);
+    if (col < 0 || col >= cols || row < 0 || row >= rows) return null;
+
+    this.use(name);
+    return path.join(this.directory, name, TILES_FOLDER, String(level), `${col}_${row}.${format}`);
+  }
+
+  async generate(sourcePath, name) {
+    const pyramidPath = path.join(this.directory, name);
+    const tempPath = `${pyramidPath}.${process.pid}.tmp`;
+    await fs.promises.rm(tempPath, { recursive: true, force: true });
+    await fs.promises.mkdir(tempPath, { recursive: true });
+
+    try {
+      // Bake in EXIF orientation so tiles line up with how browsers show the original
+      const info = await sharp(sourcePath)
+        .rotate()
+        .toFormat(TILE_FORMAT, TILE_OPTIONS)
+        .tile({ size: TILE_SIZE, overlap: TILE_OVERLAP, layout: 'dz' })
+        .toFile(path.join(tempPath, 'image'));
+
+      const descriptor = {
+        width: info.width,
+        height: info.height,
+        tileSize: TILE_SIZE,
+        overlap: TILE_OVERLAP,
+        format: TILE_FORMAT,
+        maxLevel: Math.ceil(Math.log2(Math.max(info.width, info.height))),
+        bytes: 0
+      };
+      descriptor.bytes = await directorySize(tempPath);
+      await fs.promises.writeFile(path.join(tempPath, DESCRIPTOR_FILE), JSON.stringify(descriptor));
+
+      await fs.promises.rm(pyramidPath, { recursive: true, force: true });
+      await fs.promises.rename(tempPath, pyramidPath);
+      return descriptor;
+    } catch (error) {
+      await fs.promises.rm(tempPath, { recursive: true, force: true });
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  TilePyramidCache
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ROLES, ALL_PROJECTS } = require('./access-control');
+const { readJsonFileSync, writeJsonFileSync } = require('./json-file');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes; stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._@-]{0,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash format: scrypt$N$r$p$salt$key, salt and key base64
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+const verifyPassword = async (password, hash) => {
+  const [scheme, N, r, p, salt, key] = String(hash).split('$');
+  if (scheme !== 'scrypt' || !key) return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Compared against when a username does not exist, so unknown users take as long as wrong passwords
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+const validateUsername = (username) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new Error('Usernames are 1-64 characters: letters, digits and . _ @ -');
+  }
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+const validateAccess = ({ role, projects }) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Roles are ${ROLES.join(', ')}`);
+  }
+  if (!Array.isArray(projects) || !projects.every(project => typeof project === 'string' && project)) {
+    throw new Error('Projects must be a list of project ids');
+  }
+};
+
+// Accounts from before roles existed had an admin flag, and every account saw every project
+const withAccess = ({ admin, ...user }) => ({
+  ...user,
+  role: user.role || (admin ? 'admin' : 'viewer'),
+  projects: user.projects || [ALL_PROJECTS]
+});
+
+// User accounts in a JSON file ({ "users": [{ username, passwordHash, role, projects, ... }] }),
+// shared by the server and manage-users.js. The file is re-read whenever it changes
+// on disk, so accounts added, removed or reset from the command line apply at once.
+class UserStore {
+  constructor(file) {
+    this.file = file;
+    this.users = new Map(); // username -> stored user
+    this.loadedVersion = null; // mtime and size of the file as last read
+  }
+
+  load() {
+    const { changed, version, data } = readJsonFileSync(this.file, this.loadedVersion, 'users');
+    if (changed) {
+      this.users = new Map(((data && data.users) || []).map(user => [user.username, withAccess(user)]));
+      this.loadedVersion = version;
+    }
+    return this.users;
+  }
+
+  save() {
+    const users = [...this.users.values()].sort((a, b) => a.username.localeCompare(b.username));
+    this.loadedVersion = writeJsonFileSync(this.file, { users });
+  }
+
+  // Users without their password hashes
+  list() {
+    return [...this.load().values()].map(UserStore.toPublic);
+  }
+
+  get(username) {
+    const user = this.load().get(normalizeUsername(username));
+    return user ? UserStore.toPublic(user) : null;
+  }
+
+  // The user for a correct username and password, otherwise null
+  async authenticate(username, password) {
+    const user = this.load().get(normalizeUsername(username));
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : await DUMMY_HASH);
+    return user && valid ? UserStore.toPublic(user) : null;
+  }
+
+  // New users are viewers of no project unless given a role and projects
+  async add(username, password, { role = 'viewer', projects = [] } = {}) {
+    const name = normalizeUsername(username);
+    validateUsername(name);
+    validatePassword(password);
+    validateAccess({ role, projects });
+    if (this.load().has(name)) {
+      throw new Error(`User ${name} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    this.users.set(name, {
+      username: name,
+      passwordHash: await hashPassword(password),
+      role,
+      projects: [...new Set(projects)],
+      createdAt: now,
+      updatedAt: now
+    });
+    this.save();
+    return this.get(name);
+  }
+
+  async setPassword(username, password) {
+    const user = this.load().get(normalizeUsername(username));
+    if (!user) {
+      throw new Error(`No user named ${username}`);
+    }
+    validatePassword(password);
+
+    user.passwordHash = await hashPassword(password);
+    user.updatedAt = new Date().toISOString();
+    this.save();
+    return UserStore.toPublic(user);
+  }
+
+  // Change a user's role and/or project grants
+  setAccess(username, { role, projects }) {
+    const user = this.load().get(normalizeUsername(username));
+    if (!user) {
+      throw new Error(`No user named ${username}`);
+    }
+    const access = { role: role || user.role, projects: projects ? [...new Set(projects)] : user.projects };
+    validateAccess(access);
+
+    Object.assign(user, access, { updatedAt: new Date().toISOString() });
+    this.save();
+    return UserStore.toPublic(user);
+  }
+
+  remove(username) {
+    const name = normalizeUsername(username);
+    if (!this.load().delete(name)) {
+      throw new Error(`No user named ${username}`);
+    }
+    this.save();
+  }
+
+  static toPublic({ passwordHash, ...user }) {
+    return user;
+  }
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  UserStore
+};
@@ -0,0 +1,184 @@
+const readline = require('readline');
+const { MIN_PASSWORD_LENGTH, UserStore } = require('./lib/user-store');
+const { ApiTokenStore } = require('./lib/api-token-store');
+const { ROLES, ALL_PROJECTS } = require('./lib/access-control');
+const { loadProjectRegistry } = require('./lib/project-registry');
+
+// Colors for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m'
+};
+
+function printHelp() {
+  console.log('Usage: node manage-users.js <command> [username] [options]');
+  console.log('\nCommands:');
+  console.log('  list                 Show all users');
+  console.log('  add <username>       Create a user (asks for the password)');
+  console.log('  grant <username>     Change a user\'s role and/or projects');
+  console.log('  reset <username>     Set a new password for a user');
+  console.log('  remove <username>    Delete a user and their API tokens; their sessions end on the next request');
+  console.log('\nOptions (add and grant):');
+  console.log(`  --role=<role>        ${ROLES.join(', ')} (default for add: viewer)`);
+  console.log('                       admin: all projects, and everything below');
+  console.log('                       reviewer: upload image pairs and run jobs in their projects');
+  console.log('                       viewer: full resolution images and downloads');
+  console.log('                       guest: downsampled images only');
+  console.log(`  --projects=<ids>     Comma-separated project ids, or ${ALL_PROJECTS} for all projects (default for add: none)`);
+  console.log('  --admin              Same as --role=admin');
+  console.log('  --help               Show this help message');
+  console.log(`\nPasswords need at least ${MIN_PASSWORD_LENGTH} characters. Without a terminal the`);
+  console.log('password is read from the first line of standard input, e.g.');
+  console.log('  echo "$PASSWORD" | node manage-users.js reset alice');
+}
+
+// Read one line from the terminal without echoing it
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+function readFirstLine() {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin });
+    let line = null;
+    rl.once('line', (first) => {
+      line = first;
+      rl.close();
+    });
+    rl.once('close', () => resolve(line || ''));
+  });
+}
+
+async function readPassword() {
+  if (!process.stdin.isTTY) {
+    return readFirstLine();
+  }
+  const password = await promptHidden('Password: ');
+  const repeated = await promptHidden('Repeat password: ');
+  if (password !== repeated) {
+    throw new Error('The passwords do not match');
+  }
+  return password;
+}
+
+// --role and --projects, checked against the roles and the project registry
+function parseAccessOptions(args, projectRegistry) {
+  const option = (name) => {
+    const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+    return arg === undefined ? undefined : arg.slice(name.length + 3);
+  };
+  const access = {};
+
+  const role = args.includes('--admin') ? 'admin' : option('role');
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role} (roles: ${ROLES.join(', ')})`);
+    }
+    access.role = role;
+  }
+
+  const projects = option('projects');
+  if (projects !== undefined) {
+    access.projects = projects.split(',').map(project => project.trim()).filter(Boolean);
+    const unknown = access.projects.filter(project => project !== ALL_PROJECTS && !projectRegistry.getProject(project));
+    if (unknown.length) {
+      const known = projectRegistry.projects.map(project => project.id).join(', ');
+      throw new Error(`Unknown project: ${unknown.join(', ')} (projects: ${known})`);
+    }
+  }
+  return access;
+}
+
+function describeAccess(user) {
+  const projects = user.role === 'admin' || user.projects.includes(ALL_PROJECTS)
+    ? 'all projects'
+    : user.projects.join(', ') || 'no projects';
+  return `${colors.blue}${user.role}${colors.reset} of ${projects}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, username] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!command || args.includes('--help')) {
+    printHelp();
+    return;
+  }
+
+  // Loaded here so --help works without a complete configuration
+  const config = require('./lib/config');
+  const store = new UserStore(config.usersFile);
+  const projectRegistry = loadProjectRegistry(config.projectsConfig);
+
+  if (command === 'list') {
+    const users = store.list();
+    if (users.length === 0) {
+      console.log(`${colors.yellow}No users in ${config.usersFile}${colors.reset}`);
+    }
+    for (const user of users) {
+      console.log(`${user.username}: ${describeAccess(user)} ${colors.dim}(updated ${user.updatedAt})${colors.reset}`);
+    }
+    return;
+  }
+
+  if (!['add', 'grant', 'reset', 'remove'].includes(command)) {
+    throw new Error(`Unknown command: ${command} (see --help)`);
+  }
+  if (!username) {
+    throw new Error(`Usage: node manage-users.js ${command} <username>`);
+  }
+
+  if (command === 'remove') {
+    store.remove(username);
+    // Revoked too, so a later account with the same name does not inherit them
+    const revoked = new ApiTokenStore(config.apiTokensFile).revokeAll(username.trim().toLowerCase());
+    console.log(`${colors.green}✓ Removed:${colors.reset} ${username}${revoked ? ` (and ${revoked} API token${revoked === 1 ? '' : 's'})` : ''}`);
+    return;
+  }
+
+  if (command === 'grant') {
+    const access = parseAccessOptions(args, projectRegistry);
+    if (!access.role && !access.projects) {
+      throw new Error('Give --role and/or --projects');
+    }
+    const user = store.setAccess(username, access);
+    console.log(`${colors.green}✓ Updated:${colors.reset} ${user.username}: ${describeAccess(user)}`);
+    return;
+  }
+
+  const access = command === 'add' ? parseAccessOptions(args, projectRegistry) : {};
+  if (command === 'add' && store.get(username)) {
+    throw new Error(`User ${username} already exists (use reset to change the password)`);
+  }
+  if (command === 'reset' && !store.get(username)) {
+    throw new Error(`No user named ${username}`);
+  }
+
+  const password = await readPassword();
+  if (command === 'add') {
+    const user = await store.add(username, password, access);
+    console.log(`${colors.green}✓ Added:${colors.reset} ${user.username}: ${describeAccess(user)}`);
+  } else {
+    const user = await store.setPassword(username, password);
+    console.log(`${colors.green}✓ Password reset:${colors.reset} ${user.username}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`${colors.red}✗ ${error.message}${colors.reset}`);
+  process.exitCode = 1;
+});
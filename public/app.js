@@ -1,9 +1,17 @@
 class ImageViewer {
     constructor() {
-        this.datasets = [];
+        this.allDatasets = []; // Every dataset of the current project
+        this.datasets = []; // allDatasets as sorted/filtered by change magnitude; navigation follows this
         this.currentDatasetIndex = 0;
+        this.datasetOrder = { sort: 'folder', minScore: null, maxScore: null }; // Scores are fractions 0-1
+        this.changeScores = null; // { projectId, scores } promise-backed cache of /api/change-scores
         this.currentImageType = 'pre';
-        this.currentProject = 'analysis';
+        this.timelinePosition = { kind: 'epoch', index: 0 }; // Selection for multi-epoch datasets
+        this.projects = []; // Project registry entries from /api/projects
+        this.datasetListCache = new Map(); // projectId -> { etag, datasets } for cheap revalidation
+        this.liveUpdates = null; // EventSource for dataset changes pushed by the server
+        this.imageInfoCache = new Map(); // image URL -> promise of /api/image-info response
+        this.currentProject = null;
         this.useFullResolution = false; // Default to downsampled resolution
         this.useVegetationFilter = false; // Default to normal (no vegetation filter)
         this.vegetationFilterAvailable = false; // Track if current dataset supports vegetation filtering
@@ -53,6 +61,23 @@ class ImageViewer {
         this.preloadAbortControllers = new Map(); // Track preload operations
         this.networkQuality = 'good'; // Track network performance
         this.loadStartTimes = new Map(); // Track load performance
+        this.imageAccept = 'image/webp,image/*;q=0.8'; // Accept header for image fetches, AVIF added if supported
+        
+        // Deep-zoom tiles: in full resolution mode the downsampled image is shown and only
+        // the tiles visible at the current zoom are fetched on top of it
+        this.tiledRendering = true;
+        this.tileSource = null; // { sourceUrl, baseUrl, descriptor } of the image being tiled
+        this.tiles = new Map(); // "level/col_row" -> tile <img>
+        this.tilePyramids = new Map(); // tile-info URL -> promise of pyramid descriptor
+        this.tileUpdateTimer = null;
+        
+        // Gallery overview: a virtualized grid with one card per dataset in the current view;
+        // only cards in and near the visible rows are kept in the DOM
+        this.galleryOpen = false;
+        this.galleryCards = new Map(); // dataset index -> card element
+        this.galleryLayout = { cardWidth: 336, cardHeight: 148, gap: 12, columns: 0 };
+        this.galleryRenderFrame = null;
+        this.selectedDatasetIds = new Set(); // Pairs ticked in the gallery for a multi-pair download
         
         this.init();
     }
@@ -63,7 +88,10 @@ class ImageViewer {
         this.updateResolutionStatus(); // Initialize resolution status display
         this.updateVegetationStatus(); // Initialize vegetation filter status display
         this.updateMaxZoom(); // Initialize zoom limits based on current resolution
-        this.loadDatasets();
+        this.detectImageFormats(); // Lets the server send AVIF where the browser can decode it
+        this.loadProjects(); // Builds the project dropdown, then loads its datasets
+        this.loadCurrentUser(); // Shows admin-only controls
+        this.subscribeToDatasetUpdates(); // Merges datasets added, removed or changed on the server
         this.loadBoxMappings(); // Load the panorama box mappings
         
         // Setup performance monitoring
@@ -81,10 +109,24 @@ class ImageViewer {
             clearTimeout(this.resizeTimeout);
             this.resizeTimeout = setTimeout(() => {
                 this.updatePanoramaHighlight();
+                this.scheduleTileUpdate();
+                this.renderGallery();
             }, 100);
         });
     }
     
+    detectImageFormats() {
+        // fetch() sends "Accept: */*", so image requests list the formats this browser
+        // decodes explicitly; the server then answers with smaller WebP/AVIF files
+        const probe = new Image();
+        probe.onload = () => {
+            if (probe.width > 0) {
+                this.imageAccept = `image/avif,${this.imageAccept}`;
+            }
+        };
+        probe.src = 'data:image/avif;base64,AAAAHGZ0eXBhdmlmAAAAAG1pZjFhdmlmbWlhZgAAANZtZXRhAAAAAAAAACFoZGxyAAAAAAAAAABwaWN0AAAAAAAAAAAAAAAAAAAAAA5waXRtAAAAAAABAAAAImlsb2MAAAAAREAAAQABAAAAAAD6AAEAAAAAAAAAFgAAACNpaW5mAAAAAAABAAAAFWluZmUCAAAAAAEAAGF2MDEAAAAAVmlwcnAAAAA4aXBjbwAAAAxhdjFDgSACAAAAABRpc3BlAAAAAAAAAAEAAAABAAAAEHBpeGkAAAAAAwgICAAAABZpcG1hAAAAAAAAAAEAAQOBAgMAAAAebWRhdBIACgc4AAYQENBpMgkcgAAAQACwE3I=';
+    }
+    
     setupPerformanceMonitoring() {
         // Monitor memory usage periodically
         setInterval(() => {
@@ -218,6 +260,10 @@ class ImageViewer {
     }
     
     cleanup() {
+        if (this.liveUpdates) {
+            this.liveUpdates.close();
+        }
+        
         // Cancel all ongoing operations
         if (this.loadAbortController) {
             console.log('Aborting main load controller');
@@ -244,6 +290,9 @@ class ImageViewer {
             }
         }
         
+        // Drop deep-zoom tiles
+        this.clearTiles();
+        
         // Clear caches
         this.imageCache.clear();
         this.preloadQueue.clear();
@@ -395,9 +444,26 @@ class ImageViewer {
     setupElements() {
         this.viewer = document.getElementById('imageViewer');
         this.image = document.getElementById('mainImage');
+        this.tileLayer = document.getElementById('tileLayer');
         this.projectSelect = document.getElementById('projectSelect');
         this.datasetSelect = document.getElementById('datasetSelect');
         this.datasetCounter = document.getElementById('datasetCounter');
+        this.datasetOrdering = document.getElementById('datasetOrdering');
+        this.datasetSort = document.getElementById('datasetSort');
+        this.scoreMin = document.getElementById('scoreMin');
+        this.scoreMax = document.getElementById('scoreMax');
+        this.galleryToggle = document.getElementById('galleryToggle');
+        this.galleryView = document.getElementById('galleryView');
+        this.galleryGrid = document.getElementById('galleryGrid');
+        this.adminLinks = document.querySelectorAll('.admin-link');
+        this.currentUserBadge = document.getElementById('currentUser');
+        this.currentUserName = document.getElementById('currentUserName');
+        this.logoutButton = document.getElementById('logoutButton');
+        this.downloadMenu = document.getElementById('downloadMenu');
+        this.downloadVariant = document.getElementById('downloadVariant');
+        this.downloadCurrent = document.getElementById('downloadCurrent');
+        this.downloadSelection = document.getElementById('downloadSelection');
+        this.clearSelection = document.getElementById('clearSelection');
         this.statusText = document.getElementById('statusText');
         this.imageNameText = document.getElementById('imageName');
         this.zoomLevelText = document.getElementById('zoomLevel');
@@ -411,6 +477,16 @@ class ImageViewer {
         this.vegetationToggle = document.getElementById('vegetationToggle');
         this.vegetationStatus = document.getElementById('vegetationStatus');
         this.vegetationControls = document.querySelector('.vegetation-controls');
+        this.imageTypeControls = document.querySelector('.image-type-controls');
+        this.timelineControls = document.getElementById('timelineControls');
+        this.datasetSummary = document.getElementById('datasetSummary');
+        this.datasetInfoPanel = document.getElementById('datasetInfoPanel');
+        this.datasetInfoTitle = document.getElementById('datasetInfoTitle');
+        this.datasetInfoList = document.getElementById('datasetInfoList');
+        this.imagePropertiesPanel = document.getElementById('imagePropertiesPanel');
+        this.imagePropertiesContent = document.getElementById('imagePropertiesContent');
+        this.changeStatsPanel = document.getElementById('changeStatsPanel');
+        this.changeStatsContent = document.getElementById('changeStatsContent');
         
         // Panorama elements
         this.panoramaOverlay = document.getElementById('panoramaOverlay');
@@ -432,20 +508,43 @@ class ImageViewer {
         
         this.image.addEventListener('load', () => {
             console.log('Main image loaded successfully:', this.image.src);
+            this.scheduleTileUpdate(); // Tiles are laid out against the displayed image's size
         });
     }
     
     setupEventListeners() {
         document.getElementById('prevDataset').addEventListener('click', () => this.previousDataset());
         document.getElementById('nextDataset').addEventListener('click', () => this.nextDataset());
+        this.galleryToggle.addEventListener('click', () => this.toggleGallery());
+        this.logoutButton.addEventListener('click', () => this.logout());
+        this.galleryView.addEventListener('scroll', () => this.scheduleGalleryRender());
+        
+        this.downloadCurrent.addEventListener('click', () => {
+            const dataset = this.datasets[this.currentDatasetIndex];
+            if (dataset) {
+                this.downloadDatasets([dataset.id]);
+            }
+        });
+        this.downloadSelection.addEventListener('click', () => this.downloadDatasets([...this.selectedDatasetIds]));
+        this.clearSelection.addEventListener('click', () => {
+            this.selectedDatasetIds.clear();
+            this.updateDownloadControls();
+            this.renderGallery(true);
+        });
         
         document.getElementById('zoomIn').addEventListener('click', () => this.zoom(1.2));
         document.getElementById('zoomOut').addEventListener('click', () => this.zoom(0.8));
         document.getElementById('resetZoom').addEventListener('click', () => this.resetView());
         
+        this.datasetSummary.addEventListener('click', () => this.toggleDatasetInfo());
+        document.getElementById('datasetInfoClose').addEventListener('click', () => this.toggleDatasetInfo(false));
+        this.imagePropertiesPanel.addEventListener('toggle', () => this.updateImageProperties());
+        this.changeStatsPanel.addEventListener('toggle', () => this.updateChangeStats());
+        
         this.projectSelect.addEventListener('change', (e) => {
             this.currentProject = e.target.value;
             this.currentDatasetIndex = 0;
+            this.selectedDatasetIds.clear(); // Dataset ids are per project
             this.isFirstLoad = true; // Reset first load flag when changing projects
             this.loadDatasets();
             this.updateChangeDetectionButton();
@@ -460,10 +559,29 @@ class ImageViewer {
             });
         });
         
+        // Sorting and filtering by change magnitude keeps the current dataset if it is still listed
+        const applyOrdering = async () => {
+            if (await this.applyDatasetOrder()) {
+                this.updateDatasetControls();
+                this.loadCurrentImage();
+            }
+        };
+        this.datasetSort.addEventListener('change', (e) => {
+            this.datasetOrder.sort = e.target.value;
+            applyOrdering();
+        });
+        [['minScore', this.scoreMin], ['maxScore', this.scoreMax]].forEach(([key, input]) => {
+            input.addEventListener('change', () => {
+                const percent = parseFloat(input.value);
+                this.datasetOrder[key] = Number.isFinite(percent) ? Math.min(100, Math.max(0, percent)) / 100 : null;
+                applyOrdering();
+            });
+        });
+        
         this.datasetSelect.addEventListener('change', (e) => {
             this.currentDatasetIndex = parseInt(e.target.value);
-            // Check vegetation filter availability for new dataset
-            this.checkVegetationFilterAvailability();
+            // Check vegetation filter availability, timeline and info panel for new dataset
+            this.updateDatasetControls();
             // Reset view when changing datasets via dropdown (user expects fresh view when jumping)
             this.resetView();
             this.loadCurrentImage();
@@ -512,6 +630,11 @@ class ImageViewer {
         });
         
         document.addEventListener('keydown', (e) => {
+            // Typing into the score filter must not switch images
+            if (e.target.matches?.('input[type="number"], input[type="text"], textarea')) {
+                return;
+            }
+            
             switch(e.key) {
                 case 'ArrowLeft':
                     this.previousDataset();
@@ -528,9 +651,27 @@ class ImageViewer {
                 case '3':
                     this.setImageType('change');
                     break;
+                case '4':
+                    this.setImageType('difference');
+                    break;
+                case '[':
+                    this.stepTimeline(-1);
+                    break;
+                case ']':
+                    this.stepTimeline(1);
+                    break;
+                case 'i':
+                    this.toggleDatasetInfo();
+                    break;
                 case 'r':
                     this.resetView();
                     break;
+                case 'g':
+                    this.toggleGallery();
+                    break;
+                case 'Escape':
+                    this.toggleGallery(false);
+                    break;
             }
         });
     }
@@ -648,8 +789,9 @@ class ImageViewer {
         }
     }
     
-    getImageUrl(imageUrls) {
+    getImageUrl(imageUrls, fullResolution = this.useFullResolution && !this.tiledRendering) {
         // Handle multiple formats: legacy single URL, dual-resolution format, and vegetation filter format
+        // With tiled rendering the downsampled image is always the base; full resolution comes from tiles
         if (typeof imageUrls === 'string') {
             // Legacy format - single URL
             return imageUrls;
@@ -662,41 +804,128 @@ class ImageViewer {
                 if (typeof vegFilterUrls === 'string') {
                     return vegFilterUrls;
                 } else if (typeof vegFilterUrls === 'object' && vegFilterUrls !== null) {
-                    return this.useFullResolution ? vegFilterUrls.full : vegFilterUrls.downsampled;
+                    return fullResolution ? vegFilterUrls.full : vegFilterUrls.downsampled;
                 }
             }
             
             // Use normal (non-filtered) variant when toggle is active
             if (imageUrls.full && imageUrls.downsampled) {
-                return this.useFullResolution ? imageUrls.full : imageUrls.downsampled;
+                return fullResolution ? imageUrls.full : imageUrls.downsampled;
             }
         }
         return null;
     }
     
+    async loadCurrentUser() {
+        try {
+            const response = await fetch('/api/me');
+            if (response.status === 401) {
+                // The session ended (expired, or the account was removed)
+                window.location.href = '/login.html';
+                return;
+            }
+            if (!response.ok) return;
+            this.currentUser = await response.json();
+            this.adminLinks.forEach(link => {
+                link.hidden = link.dataset.requires === 'admin' ? !this.currentUser.admin : !this.canDo('manage');
+            });
+            this.currentUserName.textContent = this.currentUser.username;
+            this.currentUserName.title = `Role: ${this.currentUser.role}`;
+            this.currentUserBadge.hidden = false;
+            
+            // Guests only get downsampled images: no full resolution mode or downloads
+            if (!this.canDo('fullResolution')) {
+                this.resolutionToggle.checked = false;
+                this.resolutionToggle.disabled = true;
+                this.resolutionToggle.closest('.resolution-toggle').title = 'Full resolution is not available for your role';
+                if (this.useFullResolution) {
+                    this.resolutionToggle.dispatchEvent(new Event('change'));
+                }
+            }
+            this.updateDownloadControls();
+        } catch (error) {
+            console.warn('Could not load the current user:', error);
+        }
+    }
+    
+    // Whether the logged-in user has a permission (view, fullResolution, manage)
+    canDo(permission) {
+        return Boolean(this.currentUser?.permissions?.includes(permission));
+    }
+    
+    async logout() {
+        this.logoutButton.disabled = true;
+        try {
+            const response = await csrfFetch('/api/logout', { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            window.location.href = '/login.html';
+        } catch (error) {
+            // Still logged in, so stay on the page and let the user try again
+            console.warn('Logout request failed:', error);
+            this.statusText.textContent = 'Logout failed, please try again';
+            this.logoutButton.disabled = false;
+        }
+    }
+    
+    async loadProjects() {
+        try {
+            this.statusText.textContent = 'Loading projects...';
+            const response = await fetch('/api/projects');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.projects = await response.json();
+            
+            if (this.projects.length === 0) {
+                this.statusText.textContent = 'No projects configured';
+                this.projectSelect.innerHTML = '<option>No projects available</option>';
+                return;
+            }
+            
+            // Labels come from projects.json, so they are set as text rather than parsed as HTML
+            this.projectSelect.replaceChildren(...this.projects.map(project => new Option(project.label, project.id)));
+            
+            // Keep the current project if it is still registered, otherwise use the first one
+            if (!this.getCurrentProject()) {
+                this.currentProject = this.projects[0].id;
+            }
+            this.projectSelect.value = this.currentProject;
+            
+            this.loadDatasets();
+        } catch (error) {
+            console.error('Error loading projects:', error);
+            this.statusText.textContent = 'Error loading projects';
+        }
+    }
+    
     async loadDatasets() {
         try {
             this.statusText.textContent = 'Loading datasets...';
-            const response = await fetch(`/api/datasets/${this.currentProject}`);
-            this.datasets = await response.json();
+            const currentId = this.datasets[this.currentDatasetIndex]?.id;
+            const datasets = await this.fetchDatasetList(this.currentProject);
+            
+            // A revalidated (304) list is the same array, so scores only go stale with a new list
+            if (datasets !== this.allDatasets) {
+                this.changeScores = null;
+            }
+            this.allDatasets = datasets;
+            this.pruneDatasetSelection();
+            
+            this.updateDatasetOrderControls();
+            this.updateDownloadControls();
             
-            if (this.datasets.length === 0) {
+            if (this.allDatasets.length === 0) {
+                this.datasets = [];
                 this.statusText.textContent = 'No datasets found';
                 this.datasetSelect.innerHTML = '<option>No datasets available</option>';
                 return;
             }
             
-            this.datasetSelect.innerHTML = this.datasets.map((dataset, index) => 
-                `<option value="${index}">Image pair ${dataset.id}</option>`
-            ).join('');
-            
-            this.updateDatasetCounter();
             this.updateChangeDetectionButton();
-            // Ensure currentDatasetIndex is valid
-            if (this.currentDatasetIndex >= this.datasets.length) {
-                this.currentDatasetIndex = 0;
-            }
-            this.checkVegetationFilterAvailability();
+            await this.applyDatasetOrder(currentId);
+            this.updateDatasetControls();
             this.loadCurrentImage();
         } catch (error) {
             console.error('Error loading datasets:', error);
@@ -704,33 +933,290 @@ class ImageViewer {
         }
     }
     
+    // Drop selected pairs that no longer exist
+    pruneDatasetSelection() {
+        const ids = new Set(this.allDatasets.map(dataset => dataset.id));
+        for (const id of this.selectedDatasetIds) {
+            if (!ids.has(id)) {
+                this.selectedDatasetIds.delete(id);
+            }
+        }
+    }
+    
+    subscribeToDatasetUpdates() {
+        if (typeof EventSource === 'undefined') return;
+        
+        this.liveUpdates = new EventSource('/api/events');
+        this.liveUpdates.addEventListener('datasets', (event) => {
+            this.handleDatasetUpdate(JSON.parse(event.data));
+        });
+        
+        // The browser reconnects by itself; changes made in the meantime are caught up
+        // by revalidating the list
+        this.liveUpdates.addEventListener('error', () => {
+            this.liveUpdatesInterrupted = true;
+        });
+        this.liveUpdates.addEventListener('open', () => {
+            if (this.liveUpdatesInterrupted) {
+                this.liveUpdatesInterrupted = false;
+                this.refreshDatasetList();
+            }
+        });
+    }
+    
+    async handleDatasetUpdate(update) {
+        // Other projects' lists are revalidated by ETag when they are selected again
+        if (update.project !== this.currentProject) return;
+        
+        const byId = new Map(this.allDatasets.map(dataset => [dataset.id, dataset]));
+        update.datasets.forEach(dataset => byId.set(dataset.id, dataset));
+        const datasets = update.order.map(id => byId.get(id));
+        
+        // Our list is not the one the update was made against (e.g. a missed update)
+        if (datasets.some(dataset => !dataset)) {
+            return this.refreshDatasetList();
+        }
+        
+        this.datasetListCache.set(update.project, { etag: update.etag, datasets });
+        await this.mergeDatasetList(datasets);
+    }
+    
+    async refreshDatasetList() {
+        const project = this.currentProject;
+        try {
+            const datasets = await this.fetchDatasetList(project);
+            if (project === this.currentProject && datasets !== this.allDatasets) {
+                await this.mergeDatasetList(datasets);
+            }
+        } catch (error) {
+            console.warn('Could not refresh the dataset list:', error);
+        }
+    }
+    
+    // Swap in a changed dataset list for the current project. The current pair stays
+    // selected (or its neighbour, if it was removed) and zoom, pan and the image cache
+    // are kept; the image is only reloaded when the current pair itself changed.
+    async mergeDatasetList(datasets) {
+        const previous = new Map(this.allDatasets.map(dataset => [dataset.id, dataset]));
+        const ids = new Set(datasets.map(dataset => dataset.id));
+        const added = datasets.filter(dataset => !previous.has(dataset.id)).length;
+        const removed = [...previous.keys()].filter(id => !ids.has(id)).length;
+        const modified = datasets.filter(dataset => previous.has(dataset.id) &&
+            JSON.stringify(previous.get(dataset.id)) !== JSON.stringify(dataset)).length;
+        
+        // Going from or to an empty list resets the view, as a fresh load does
+        if (previous.size === 0 || datasets.length === 0) {
+            return this.loadDatasets();
+        }
+        
+        let currentId = this.datasets[this.currentDatasetIndex]?.id;
+        if (currentId !== undefined && !ids.has(currentId)) {
+            const after = this.datasets.slice(this.currentDatasetIndex + 1);
+            const before = this.datasets.slice(0, this.currentDatasetIndex).reverse();
+            currentId = [...after, ...before].find(dataset => ids.has(dataset.id))?.id;
+        }
+        
+        this.allDatasets = datasets;
+        this.changeScores = null; // New or changed change maps need scoring
+        this.pruneDatasetSelection();
+        this.updateDownloadControls();
+        
+        const currentChanged = await this.applyDatasetOrder(currentId);
+        this.statusText.textContent = `Image pairs updated: ${added} added, ${removed} removed, ${modified} changed`;
+        if (currentChanged) {
+            this.updateChangeDetectionButton();
+            this.updateDatasetControls();
+            this.loadCurrentImage();
+        }
+    }
+    
+    // Change magnitude sorting/filtering needs SSI maps to score datasets against
+    isDatasetOrderActive() {
+        const { sort, minScore, maxScore } = this.datasetOrder;
+        return Boolean(this.getCurrentProject()?.layers?.ssiMap) &&
+            (sort === 'change' || minScore !== null || maxScore !== null);
+    }
+    
+    updateDatasetOrderControls() {
+        const available = Boolean(this.getCurrentProject()?.layers?.ssiMap);
+        this.datasetOrdering.hidden = !available;
+    }
+    
+    updateDownloadControls() {
+        // Vegetation-filtered downloads only exist for projects with that layer
+        const vegetationOption = this.downloadVariant.querySelector('option[value="vegFilter"]');
+        const vegetationAvailable = Boolean(this.getCurrentProject()?.layers?.vegetationFilter);
+        vegetationOption.hidden = !vegetationAvailable;
+        vegetationOption.disabled = !vegetationAvailable;
+        if (!vegetationAvailable && this.downloadVariant.value === 'vegFilter') {
+            this.downloadVariant.value = 'full';
+        }
+        
+        // Full resolution and vegetation-filtered files are refused for guests
+        if (this.currentUser && !this.canDo('fullResolution')) {
+            this.downloadVariant.querySelectorAll('option:not([value="2x"])').forEach(option => {
+                option.hidden = true;
+                option.disabled = true;
+            });
+            this.downloadVariant.value = '2x';
+        }
+        
+        const count = this.selectedDatasetIds.size;
+        this.downloadSelection.textContent = `Selected pairs (${count})`;
+        this.downloadSelection.disabled = count === 0;
+        this.clearSelection.disabled = count === 0;
+    }
+    
+    // Download pairs as one ZIP of their acquisitions and change maps plus a manifest.json
+    downloadDatasets(ids) {
+        if (!ids.length) return;
+        
+        const params = new URLSearchParams({ ids: ids.join(','), variant: this.downloadVariant.value });
+        const link = document.createElement('a');
+        link.href = `/api/download/${encodeURIComponent(this.currentProject)}?${params}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        this.downloadMenu.open = false;
+        this.statusText.textContent = `Downloading ${ids.length === 1 ? `image pair ${ids[0]}` : `${ids.length} image pairs`}...`;
+    }
+    
+    async fetchChangeScores(projectId) {
+        // Scoring reads every change map on first use, so the result is kept until the list changes
+        if (this.changeScores?.projectId !== projectId) {
+            const scores = fetch(`/api/change-scores/${projectId}`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    return response.json();
+                })
+                .then(body => body.scores);
+            this.changeScores = { projectId, scores };
+            scores.catch(() => {
+                if (this.changeScores?.scores === scores) {
+                    this.changeScores = null; // Retry next time
+                }
+            });
+        }
+        return this.changeScores.scores;
+    }
+    
+    // Rebuild this.datasets (and the dropdown) from allDatasets in the selected order and
+    // score range. Keeps currentId selected if it is still listed; returns whether the
+    // current dataset changed.
+    async applyDatasetOrder(currentId = this.datasets[this.currentDatasetIndex]?.id) {
+        let datasets = this.allDatasets;
+        let scores = null;
+        const request = this.datasetOrderRequest = (this.datasetOrderRequest || 0) + 1;
+        
+        if (this.isDatasetOrderActive()) {
+            try {
+                this.statusText.textContent = 'Scoring datasets by change...';
+                scores = await this.fetchChangeScores(this.currentProject);
+            } catch (error) {
+                console.error('Error loading change scores:', error);
+                this.statusText.textContent = 'Change scores unavailable, showing all datasets';
+            }
+            // The order or filter changed again while scores were loading
+            if (request !== this.datasetOrderRequest) {
+                return false;
+            }
+        }
+        
+        if (scores) {
+            const { sort, minScore, maxScore } = this.datasetOrder;
+            const scoreOf = (dataset) => scores[dataset.id] ?? null;
+            if (minScore !== null || maxScore !== null) {
+                datasets = datasets.filter(dataset => {
+                    const score = scoreOf(dataset);
+                    return score !== null &&
+                        (minScore === null || score >= minScore) &&
+                        (maxScore === null || score <= maxScore);
+                });
+            }
+            if (sort === 'change') {
+                // Stable sort keeps folder order among equal scores; unscored datasets go last
+                datasets = [...datasets].sort((a, b) => (scoreOf(b) ?? -1) - (scoreOf(a) ?? -1));
+            }
+        }
+        
+        const previous = this.datasets[this.currentDatasetIndex];
+        this.datasets = datasets;
+        const index = datasets.findIndex(dataset => dataset.id === currentId);
+        this.currentDatasetIndex = Math.max(0, index);
+        
+        if (datasets.length === 0) {
+            this.datasetSelect.innerHTML = '<option>No datasets match the change filter</option>';
+            this.statusText.textContent = 'No datasets match the change filter';
+        } else {
+            this.datasetSelect.innerHTML = datasets.map((dataset, index) => {
+                const score = scores?.[dataset.id];
+                const suffix = typeof score === 'number' ? ` (${Math.round(score * 100)}% changed)` : '';
+                return `<option value="${index}">Image pair ${dataset.id}${suffix}</option>`;
+            }).join('');
+            this.datasetSelect.value = this.currentDatasetIndex;
+        }
+        
+        this.updateDatasetCounter();
+        this.updateGridOverlay(); // Only datasets in the view can be picked on the panorama
+        this.renderGallery(true);
+        return this.datasets[this.currentDatasetIndex] !== previous;
+    }
+    
+    async fetchDatasetList(projectId) {
+        // Revalidate against the server's dataset index ETag instead of re-downloading the list
+        const cached = this.datasetListCache.get(projectId);
+        const headers = cached ? { 'If-None-Match': cached.etag } : {};
+        
+        const response = await fetch(`/api/datasets/${projectId}`, {
+            headers,
+            cache: 'no-store' // We handle revalidation ourselves
+        });
+        
+        if (response.status === 304 && cached) {
+            return cached.datasets;
+        }
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const datasets = await response.json();
+        const etag = response.headers.get('etag');
+        if (etag) {
+            this.datasetListCache.set(projectId, { etag, datasets });
+        }
+        return datasets;
+    }
+    
     async loadCurrentImage() {
         if (this.datasets.length === 0) return;
         
         const dataset = this.datasets[this.currentDatasetIndex];
-        let imageUrl;
+        const imageUrls = this.getSelectedImageUrls(dataset);
+        this.updateChangeStats(); // Follows the selected change map and vegetation filter
         
-        switch(this.currentImageType) {
-            case 'pre':
-                imageUrl = this.getImageUrl(dataset.preEvent);
-                break;
-            case 'post':
-                imageUrl = this.getImageUrl(dataset.postEvent);
-                break;
-            case 'change':
-                imageUrl = this.getImageUrl(dataset.changeDetection);
-                break;
-        }
+        // In full resolution mode stored images are shown downsampled with deep-zoom tiles on top;
+        // generated layers such as difference maps are loaded whole
+        const fullUrl = this.useFullResolution ? this.getImageUrl(imageUrls, true) : null;
+        const tileSourceUrl = this.tiledRendering && fullUrl?.startsWith('/api/image/') ? fullUrl : null;
+        const imageUrl = fullUrl && !tileSourceUrl ? fullUrl : this.getImageUrl(imageUrls, false);
         
-        console.log(`Loading image: dataset=${this.currentDatasetIndex}, type=${this.currentImageType}, url=${imageUrl}`);
+        console.log(`Loading image: dataset=${this.currentDatasetIndex}, selection=${this.describeSelection(dataset)}, url=${imageUrl}`);
         
         if (!imageUrl) {
             this.statusText.textContent = 'No change detection image available';
             this.image.src = '';
+            this.setTileSource(null);
             console.warn('No image URL found for current selection');
             return;
         }
         
+        this.setTileSource(tileSourceUrl, imageUrl);
+        
         // Cancel any ongoing load
         if (this.loadAbortController) {
             this.loadAbortController.abort();
@@ -786,7 +1272,7 @@ class ImageViewer {
         this.isLoading = true;
         
         // Show loading indicator with enhanced feedback
-        this.loadingIndicator.style.display = 'block';
+        this.loadingIndicator.hidden = false;
         this.progressBarFill.style.width = '0%';
         
         // Extract filename from URL
@@ -806,6 +1292,7 @@ class ImageViewer {
             const response = await fetch(imageUrl, {
                 signal: this.loadAbortController.signal,
                 cache: cacheStrategy,
+                headers: { Accept: this.imageAccept },
                 priority: 'high' // High priority for current image
             });
             
@@ -913,7 +1400,7 @@ class ImageViewer {
             this.loadAbortController = null;
             this.loadStartTimes.delete(imageUrl);
             // Hide loading indicator
-            this.loadingIndicator.style.display = 'none';
+            this.loadingIndicator.hidden = true;
         }
     }
     
@@ -1027,16 +1514,6 @@ class ImageViewer {
         const retryButton = document.createElement('button');
         retryButton.textContent = 'Retry Loading';
         retryButton.className = 'retry-button';
-        retryButton.style.cssText = `
-            background-color: #0066cc;
-            color: white;
-            border: none;
-            padding: 10px 20px;
-            border-radius: 4px;
-            cursor: pointer;
-            margin-top: 10px;
-            font-size: 14px;
-        `;
         
         retryButton.onclick = () => {
             retryButton.remove();
@@ -1045,7 +1522,7 @@ class ImageViewer {
         };
         
         this.loadingIndicator.appendChild(retryButton);
-        this.loadingIndicator.style.display = 'block';
+        this.loadingIndicator.hidden = false;
     }
     
     displayImage(imgOrEntry, imageUrl) {
@@ -1118,7 +1595,8 @@ class ImageViewer {
         const resolutionMode = this.useFullResolution ? 'Full' : '2x Downsampled';
         // When toggle is active (true), show "Automatic Vegetation Filter", when inactive (false), show nothing
         const filterMode = this.vegetationFilterAvailable && this.useVegetationFilter ? ', Automatic Vegetation Filter' : '';
-        this.statusText.textContent = `Loaded: ${this.currentImageType}-event image (${resolutionMode}${filterMode}, Cache: ${cacheHitRate.toFixed(1)}%)`;
+        const selection = this.describeSelection(this.datasets[this.currentDatasetIndex]);
+        this.statusText.textContent = `Loaded: ${selection} (${resolutionMode}${filterMode}, Cache: ${cacheHitRate.toFixed(1)}%)`;
         
         // Only fit to view on first load or after resolution change
         if (this.isFirstLoad || this.wasResolutionChanged) {
@@ -1202,6 +1680,17 @@ class ImageViewer {
         this.addToPreloadQueue(this.getImageUrl(currentDataset.postEvent), 1, 'current-post');
         this.addToPreloadQueue(this.getImageUrl(currentDataset.changeDetection), 1, 'current-change');
         
+        // For time series, the neighbouring timeline entries are the most likely next views
+        if (this.isTimeSeries(currentDataset)) {
+            const entries = this.getTimelineEntries(currentDataset);
+            const cursor = this.getTimelineCursor(currentDataset);
+            for (const neighbour of [entries[cursor - 1], entries[cursor + 1]]) {
+                if (neighbour) {
+                    this.addToPreloadQueue(this.getImageUrl(neighbour.urls), 1, `current-timeline-${neighbour.kind}`);
+                }
+            }
+        }
+        
         // If vegetation filter is available, also preload the alternate filter variant for current dataset
         if (this.vegetationFilterAvailable && currentDataset.hasVegetationFilter) {
             const alternateFilterState = !this.useVegetationFilter;
@@ -1267,6 +1756,7 @@ class ImageViewer {
             case 'pre': return 'preEvent';
             case 'post': return 'postEvent';
             case 'change': return 'changeDetection';
+            case 'difference': return 'difference';
             default: return 'preEvent';
         }
     }
@@ -1377,7 +1867,8 @@ class ImageViewer {
                 // Use fetch with cache control for better performance
                 fetch(imageUrl, { 
                     signal: abortController.signal,
-                    cache: 'force-cache'
+                    cache: 'force-cache',
+                    headers: { Accept: this.imageAccept }
                 }).then(response => response.blob())
                 .then(blob => {
                     const blobUrl = URL.createObjectURL(blob);
@@ -1549,8 +2040,8 @@ class ImageViewer {
             this.currentDatasetIndex--;
             this.datasetSelect.value = this.currentDatasetIndex;
             this.updateDatasetCounter();
-            // Check vegetation filter availability for new dataset
-            this.checkVegetationFilterAvailability();
+            // Check vegetation filter availability, timeline and info panel for new dataset
+            this.updateDatasetControls();
             // No longer reset view when changing datasets - maintain zoom/pan
             this.loadCurrentImage();
             
@@ -1564,8 +2055,8 @@ class ImageViewer {
             this.currentDatasetIndex++;
             this.datasetSelect.value = this.currentDatasetIndex;
             this.updateDatasetCounter();
-            // Check vegetation filter availability for new dataset
-            this.checkVegetationFilterAvailability();
+            // Check vegetation filter availability, timeline and info panel for new dataset
+            this.updateDatasetControls();
             // No longer reset view when changing datasets - maintain zoom/pan
             this.loadCurrentImage();
             
@@ -1602,21 +2093,482 @@ class ImageViewer {
         }
     }
     
+    updateDatasetControls() {
+        this.checkVegetationFilterAvailability();
+        this.updateTimelineControls();
+        this.updateDatasetInfo();
+        this.updateImageProperties();
+    }
+    
+    updateDatasetInfo() {
+        const dataset = this.datasets[this.currentDatasetIndex];
+        const metadata = dataset?.metadata || {};
+        
+        // Well-known fields first, in a fixed order; anything else follows with its raw key
+        const knownFields = [
+            ['locationName', 'Location'],
+            ['acquisitionDates', 'Acquisition dates'],
+            ['sensor', 'Sensor'],
+            ['platform', 'Platform'],
+            ['resolution', 'Resolution'],
+            ['processingNotes', 'Processing notes']
+        ];
+        const rows = [];
+        for (const [key, label] of knownFields) {
+            if (metadata[key] !== undefined) {
+                rows.push([label, metadata[key]]);
+            }
+        }
+        // Fall back to the acquisition dates derived from the filenames
+        if (metadata.acquisitionDates === undefined && dataset?.epochs?.some(epoch => epoch.date)) {
+            rows.splice(1, 0, ['Acquisition dates', dataset.epochs.map(epoch => epoch.date || '?')]);
+        }
+        for (const [key, value] of Object.entries(metadata)) {
+            if (!knownFields.some(([knownKey]) => knownKey === key)) {
+                rows.push([key, value]);
+            }
+        }
+        
+        const formatValue = (value) => {
+            if (Array.isArray(value)) return value.map(formatValue).join(', ');
+            if (value && typeof value === 'object') return JSON.stringify(value);
+            return String(value);
+        };
+        
+        this.datasetInfoTitle.textContent = dataset ? `Image pair ${dataset.id}` : '';
+        this.datasetInfoList.innerHTML = '';
+        for (const [label, value] of rows) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = formatValue(value);
+            this.datasetInfoList.append(term, description);
+        }
+        if (rows.length === 0) {
+            const empty = document.createElement('dd');
+            empty.className = 'dataset-info-empty';
+            empty.textContent = 'No metadata for this dataset';
+            this.datasetInfoList.appendChild(empty);
+        }
+        
+        // Compact summary next to the image name in the status bar
+        const summary = [metadata.locationName, metadata.sensor].filter(Boolean).map(formatValue);
+        this.datasetSummary.textContent = summary.length ? `ⓘ ${summary.join(' · ')}` : 'ⓘ';
+        this.datasetSummary.title = 'Dataset information (i)';
+    }
+    
+    fetchImageInfo(imageUrl) {
+        // Image properties are served from the same path under /api/image-info
+        const infoUrl = imageUrl.replace(/^\/api\/image\//, '/api/image-info/');
+        if (!this.imageInfoCache.has(infoUrl)) {
+            const request = fetch(infoUrl).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                return response.json();
+            }).catch(error => {
+                this.imageInfoCache.delete(infoUrl); // Allow a retry on the next dataset change
+                throw error;
+            });
+            this.imageInfoCache.set(infoUrl, request);
+        }
+        return this.imageInfoCache.get(infoUrl);
+    }
+    
+    async updateImageProperties() {
+        // Only fetch while the panel is expanded
+        if (!this.imagePropertiesPanel.open) return;
+        
+        const dataset = this.datasets[this.currentDatasetIndex];
+        if (!dataset) {
+            this.imagePropertiesContent.textContent = 'No dataset selected';
+            return;
+        }
+        
+        // One column per acquisition, using the original (full resolution) files
+        const columns = dataset.epochs && dataset.epochs.length > 2
+            ? dataset.epochs.map(epoch => ({ label: epoch.label, url: epoch.urls.full }))
+            : [
+                { label: 'Pre-Event', url: dataset.preEvent.full },
+                { label: 'Post-Event', url: dataset.postEvent.full }
+            ];
+        
+        const requestedDatasetId = dataset.id;
+        this.imagePropertiesContent.textContent = 'Loading image properties...';
+        
+        const results = await Promise.allSettled(columns.map(column => this.fetchImageInfo(column.url)));
+        
+        // Ignore results for a dataset the user has already navigated away from
+        if (this.datasets[this.currentDatasetIndex]?.id !== requestedDatasetId) return;
+        
+        const infos = results.map(result => result.status === 'fulfilled' ? result.value : null);
+        const formatNumber = (value, digits = 1) => typeof value === 'number' ? Number(value.toFixed(digits)).toString() : null;
+        
+        // [label, value getter, whether differences between columns should be flagged]
+        const rows = [
+            ['Dimensions', info => `${info.width} × ${info.height}`, true],
+            ['Bit depth', info => info.bitDepth ? `${info.bitDepth}-bit` : info.pixelFormat, true],
+            ['Channels', info => `${info.channels}${info.hasAlpha ? ' (alpha)' : ''}`, true],
+            ['Color space', info => `${info.colorSpace}${info.hasIccProfile ? ' + ICC' : ''}`, true],
+            ['Format', info => info.format, false],
+            ['File size', info => `${(info.file.size / (1024 * 1024)).toFixed(1)} MB`, false],
+            ['Captured', info => info.capture?.dateTimeOriginal || info.capture?.dateTime, false],
+            ['Camera', info => [info.camera?.make, info.camera?.model].filter(Boolean).join(' '), true],
+            ['Lens', info => info.camera?.lensModel, true],
+            ['Exposure', info => info.camera?.exposureTime ? `1/${Math.round(1 / info.camera.exposureTime)} s` : null, true],
+            ['Aperture', info => info.camera?.fNumber ? `f/${formatNumber(info.camera.fNumber)}` : null, true],
+            ['ISO', info => info.camera?.iso, true],
+            ['Focal length', info => info.camera?.focalLength ? `${formatNumber(info.camera.focalLength)} mm` : null, true],
+            ['GPS', info => info.gps ? `${info.gps.latitude.toFixed(6)}, ${info.gps.longitude.toFixed(6)}${info.gps.altitude !== null ? ` (${formatNumber(info.gps.altitude)} m)` : ''}` : null, false]
+        ];
+        
+        const table = document.createElement('table');
+        const headerRow = table.insertRow();
+        headerRow.appendChild(document.createElement('th'));
+        for (const column of columns) {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            headerRow.appendChild(th);
+        }
+        
+        for (const [label, getValue, compare] of rows) {
+            const values = infos.map(info => {
+                if (!info) return null;
+                const value = getValue(info);
+                return value === undefined || value === null || value === '' ? null : String(value);
+            });
+            
+            // Skip rows no image has a value for (e.g. GPS on images without EXIF)
+            if (values.every(value => value === null)) continue;
+            
+            const row = table.insertRow();
+            const known = values.filter(value => value !== null);
+            if (compare && new Set(known).size > 1) {
+                row.className = 'mismatch';
+                row.title = 'Values differ between acquisitions';
+            }
+            
+            const th = document.createElement('th');
+            th.textContent = label;
+            row.appendChild(th);
+            values.forEach((value, index) => {
+                const cell = row.insertCell();
+                cell.textContent = infos[index] ? (value ?? '—') : 'unavailable';
+            });
+        }
+        
+        this.imagePropertiesContent.innerHTML = '';
+        this.imagePropertiesContent.appendChild(table);
+    }
+    
+    getChangeStatsUrl(dataset) {
+        const project = this.getCurrentProject();
+        if (!dataset || !project?.layers.ssiMap) return null;
+        
+        // On a timeline the selected change map, otherwise the dataset's Change Detection map
+        let mapIndex = null;
+        let urls = dataset.changeDetection;
+        if (this.isTimeSeries(dataset) && this.timelinePosition.kind === 'change') {
+            mapIndex = this.timelinePosition.index;
+            urls = dataset.changeMaps[mapIndex]?.urls;
+        }
+        if (!urls) return null;
+        
+        const params = new URLSearchParams();
+        if (mapIndex !== null) {
+            params.set('map', mapIndex);
+        }
+        // Same SSI variant as the Change Detection layer shows (filtered while the toggle is inactive)
+        if (!this.useVegetationFilter && urls.vegFilter) {
+            params.set('variant', 'vegFilter');
+        }
+        const query = params.toString();
+        return `/api/change-stats/${encodeURIComponent(project.id)}/${encodeURIComponent(dataset.id)}${query ? `?${query}` : ''}`;
+    }
+    
+    async updateChangeStats() {
+        const project = this.getCurrentProject();
+        this.changeStatsPanel.style.display = project?.layers.ssiMap ? '' : 'none';
+        
+        // Only fetch while the panel is expanded
+        if (!this.changeStatsPanel.open) return;
+        
+        const statsUrl = this.getChangeStatsUrl(this.datasets[this.currentDatasetIndex]);
+        this.changeStatsRequest = statsUrl;
+        if (!statsUrl) {
+            this.changeStatsContent.textContent = 'No SSI map for this selection';
+            return;
+        }
+        
+        this.changeStatsContent.textContent = 'Computing change statistics...';
+        let stats;
+        try {
+            const response = await fetch(statsUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            stats = await response.json();
+        } catch (error) {
+            if (this.changeStatsRequest === statsUrl) {
+                console.error('Error loading change statistics:', error);
+                this.changeStatsContent.textContent = 'Change statistics unavailable';
+            }
+            return;
+        }
+        
+        // Ignore results for a selection the user has already moved away from
+        if (this.changeStatsRequest !== statsUrl) return;
+        this.renderChangeStats(stats);
+    }
+    
+    renderChangeStats(stats) {
+        const [min, max] = stats.valueRange;
+        const formatValue = (value) => value === null ? '—' : value.toFixed(3);
+        const formatPercent = (fraction) => fraction === null ? '—' : `${(fraction * 100).toFixed(1)} %`;
+        
+        const title = document.createElement('div');
+        title.className = 'change-stats-title';
+        title.textContent = `${stats.map.filename}${stats.variant === 'vegFilter' ? ' (vegetation filtered)' : ''}`;
+        
+        // Histogram of SSI coefficients with the thresholds marked
+        const canvas = document.createElement('canvas');
+        canvas.className = 'change-stats-chart';
+        canvas.width = 240;
+        canvas.height = 80;
+        const ctx = canvas.getContext('2d');
+        if (ctx) {
+            const counts = stats.histogram.counts;
+            const highest = Math.max(...counts, 1);
+            const barWidth = canvas.width / counts.length;
+            ctx.fillStyle = '#ffa726';
+            counts.forEach((count, index) => {
+                const barHeight = (count / highest) * (canvas.height - 4);
+                ctx.fillRect(index * barWidth, canvas.height - barHeight, Math.max(1, barWidth - 1), barHeight);
+            });
+            
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.setLineDash([3, 3]);
+            for (const threshold of stats.thresholds) {
+                const x = ((threshold.value - min) / (max - min)) * canvas.width;
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, canvas.height);
+                ctx.stroke();
+            }
+        }
+        
+        const axis = document.createElement('div');
+        axis.className = 'change-stats-axis';
+        for (const value of [min, (min + max) / 2, max]) {
+            const tick = document.createElement('span');
+            tick.textContent = Number(value.toFixed(2)).toString();
+            axis.appendChild(tick);
+        }
+        
+        const list = document.createElement('dl');
+        const rows = [
+            ['Mean', formatValue(stats.mean)],
+            ['Median', formatValue(stats.median)],
+            ['Std. dev.', formatValue(stats.stdDev)],
+            ...stats.thresholds.map(threshold => [`Below ${threshold.value}`, formatPercent(threshold.fraction)]),
+            ['Pixels', stats.pixels.toLocaleString() + (stats.maskedPixels ? ` (+${stats.maskedPixels.toLocaleString()} masked)` : '')]
+        ];
+        for (const [label, value] of rows) {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            list.append(dt, dd);
+        }
+        
+        this.changeStatsContent.replaceChildren(title, canvas, axis, list);
+    }
+    
+    toggleDatasetInfo(show) {
+        const visible = show ?? !this.datasetInfoPanel.classList.contains('visible');
+        this.datasetInfoPanel.classList.toggle('visible', visible);
+    }
+    
+    isTimeSeries(dataset) {
+        // Only datasets with more than two acquisitions need the timeline
+        return Boolean(dataset && Array.isArray(dataset.epochs) && dataset.epochs.length > 2);
+    }
+    
+    getSelectedImageUrls(dataset) {
+        if (!dataset) return null;
+        
+        if (this.isTimeSeries(dataset)) {
+            const { kind, index } = this.timelinePosition;
+            const entry = this.getTimelineList(dataset, kind)[index];
+            return entry ? entry.urls : null;
+        }
+        
+        return dataset[this.getImageProperty(this.currentImageType)];
+    }
+    
+    describeSelection(dataset) {
+        if (this.isTimeSeries(dataset)) {
+            const { kind, index } = this.timelinePosition;
+            if (kind === 'change' || kind === 'difference') {
+                const map = this.getTimelineList(dataset, kind)[index];
+                return map ? `${kind} ${dataset.epochs[map.from].label} → ${dataset.epochs[map.to].label}` : `${kind} map`;
+            }
+            return `acquisition ${dataset.epochs[index]?.label ?? index + 1}`;
+        }
+        return `${this.currentImageType}-event image`;
+    }
+    
+    // Acquisitions, SSI change maps or generated difference maps of a dataset
+    getTimelineList(dataset, kind) {
+        if (kind === 'change') return dataset.changeMaps;
+        if (kind === 'difference') return dataset.differenceMaps || [];
+        return dataset.epochs;
+    }
+    
+    // The map shown between two consecutive acquisitions: the SSI map if there is one, else the difference map
+    findStepMap(dataset, from) {
+        for (const kind of ['change', 'difference']) {
+            const index = this.getTimelineList(dataset, kind).findIndex(map => map.from === from && map.to === from + 1);
+            if (index !== -1) {
+                return { kind, index };
+            }
+        }
+        return null;
+    }
+    
+    // Timeline order: each acquisition followed by the change map to the next one
+    getTimelineEntries(dataset) {
+        const entries = [];
+        dataset.epochs.forEach((epoch, index) => {
+            entries.push({ kind: 'epoch', index, urls: epoch.urls });
+            const stepMap = this.findStepMap(dataset, index);
+            if (stepMap) {
+                entries.push({ ...stepMap, urls: this.getTimelineList(dataset, stepMap.kind)[stepMap.index].urls });
+            }
+        });
+        return entries;
+    }
+    
+    getTimelineCursor(dataset) {
+        return this.getTimelineEntries(dataset).findIndex(entry =>
+            entry.kind === this.timelinePosition.kind && entry.index === this.timelinePosition.index
+        );
+    }
+    
+    updateTimelineControls() {
+        const dataset = this.datasets[this.currentDatasetIndex];
+        const timeSeries = this.isTimeSeries(dataset);
+        
+        // The timeline replaces the fixed pre/post/change buttons for multi-epoch datasets
+        this.imageTypeControls.classList.toggle('timeline-mode', timeSeries);
+        this.timelineControls.innerHTML = '';
+        if (!timeSeries) return;
+        
+        // Keep the selection valid when switching between series of different lengths
+        const { kind, index } = this.timelinePosition;
+        if (kind !== 'epoch' && !this.getTimelineList(dataset, kind)[index]) {
+            this.timelinePosition = { kind: 'epoch', index: 0 };
+        } else if (kind === 'epoch' && index >= dataset.epochs.length) {
+            this.timelinePosition = { kind: 'epoch', index: dataset.epochs.length - 1 };
+        }
+        
+        const addButton = (entryKind, entryIndex, text, title) => {
+            const button = document.createElement('button');
+            button.className = `timeline-btn timeline-${entryKind}`;
+            button.dataset.kind = entryKind;
+            button.dataset.index = entryIndex;
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', () => this.setTimelinePosition(entryKind, entryIndex));
+            this.timelineControls.appendChild(button);
+        };
+        
+        dataset.epochs.forEach((epoch, epochIndex) => {
+            addButton('epoch', epochIndex, epoch.label, epoch.filename);
+            
+            if (epochIndex < dataset.epochs.length - 1) {
+                const stepMap = this.findStepMap(dataset, epochIndex);
+                if (stepMap) {
+                    const next = dataset.epochs[epochIndex + 1];
+                    const [text, title] = stepMap.kind === 'change' ? ['Δ', 'Change'] : ['±', 'Difference'];
+                    addButton(stepMap.kind, stepMap.index, text, `${title} ${epoch.label} → ${next.label}`);
+                } else {
+                    const connector = document.createElement('span');
+                    connector.className = 'timeline-connector';
+                    this.timelineControls.appendChild(connector);
+                }
+            }
+        });
+        
+        // Change and difference maps spanning more than one step (e.g. first vs. last acquisition)
+        dataset.changeMaps.forEach((map, mapIndex) => {
+            if (map.to - map.from > 1) {
+                const label = `${dataset.epochs[map.from].label} → ${dataset.epochs[map.to].label}`;
+                addButton('change', mapIndex, `Δ ${label}`, `Change ${label}`);
+            }
+        });
+        this.getTimelineList(dataset, 'difference').forEach((map, mapIndex) => {
+            if (map.to - map.from > 1) {
+                const label = `${dataset.epochs[map.from].label} → ${dataset.epochs[map.to].label}`;
+                addButton('difference', mapIndex, `± ${label}`, `Difference ${label}`);
+            }
+        });
+        
+        this.updateTimelineSelection();
+    }
+    
+    updateTimelineSelection() {
+        const { kind, index } = this.timelinePosition;
+        this.timelineControls.querySelectorAll('.timeline-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.kind === kind && parseInt(button.dataset.index) === index);
+        });
+    }
+    
+    setTimelinePosition(kind, index) {
+        this.timelinePosition = { kind, index };
+        this.updateTimelineSelection();
+        this.loadCurrentImage();
+    }
+    
+    stepTimeline(step) {
+        const dataset = this.datasets[this.currentDatasetIndex];
+        if (!this.isTimeSeries(dataset)) return;
+        
+        const target = this.getTimelineEntries(dataset)[this.getTimelineCursor(dataset) + step];
+        if (target) {
+            this.setTimelinePosition(target.kind, target.index);
+        }
+    }
+    
     updateDatasetCounter() {
-        this.datasetCounter.textContent = `${this.currentDatasetIndex + 1} / ${this.datasets.length}`;
+        const position = this.datasets.length ? this.currentDatasetIndex + 1 : 0;
+        this.datasetCounter.textContent = `${position} / ${this.datasets.length}`;
+    }
+    
+    getCurrentProject() {
+        return this.projects.find(project => project.id === this.currentProject) || null;
     }
     
     updateChangeDetectionButton() {
-        const changeBtn = document.querySelector('[data-type="change"]');
-        if (this.currentProject === 'coregistered') {
-            changeBtn.style.display = 'none';
-            if (this.currentImageType === 'change') {
-                this.currentImageType = 'pre';
-                document.querySelector('[data-type="pre"]').classList.add('active');
-                changeBtn.classList.remove('active');
+        const project = this.getCurrentProject();
+        // Image type button -> project layer providing it
+        const layerButtons = { change: 'ssiMap', difference: 'differenceMap' };
+        
+        for (const [type, layer] of Object.entries(layerButtons)) {
+            const button = document.querySelector(`[data-type="${type}"]`);
+            // Until projects are loaded only the SSI button is shown, as before
+            const available = project ? Boolean(project.layers[layer]) : type === 'change';
+            
+            if (!available) {
+                button.hidden = true;
+                if (this.currentImageType === type) {
+                    this.currentImageType = 'pre';
+                    document.querySelector('[data-type="pre"]').classList.add('active');
+                    button.classList.remove('active');
+                }
+            } else {
+                button.hidden = false;
             }
-        } else {
-            changeBtn.style.display = 'block';
         }
     }
     
@@ -1707,7 +2659,156 @@ class ImageViewer {
     
     updateTransform() {
         this.image.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
+        this.tileLayer.style.transform = this.image.style.transform; // Tiles move with the image
         this.zoomLevelText.textContent = `${Math.round(this.scale * 100)}%`;
+        this.scheduleTileUpdate();
+    }
+    
+    fetchTilePyramid(imageUrl) {
+        // Pyramid descriptors are served from the same path under /api/tile-info
+        const infoUrl = imageUrl.replace(/^\/api\/image\//, '/api/tile-info/');
+        if (!this.tilePyramids.has(infoUrl)) {
+            const request = fetch(infoUrl).then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                return response.json();
+            }).catch(error => {
+                this.tilePyramids.delete(infoUrl);
+                throw error;
+            });
+            this.tilePyramids.set(infoUrl, request);
+        }
+        return this.tilePyramids.get(infoUrl);
+    }
+    
+    setTileSource(sourceUrl, baseUrl = null) {
+        if (this.tileSource?.sourceUrl === sourceUrl && this.tileSource?.baseUrl === baseUrl) return;
+        
+        this.clearTiles();
+        this.tileSource = sourceUrl ? { sourceUrl, baseUrl, descriptor: null } : null;
+        if (!sourceUrl) return;
+        
+        // The first request for an image builds its pyramid on the server, which can take a while;
+        // the downsampled image stays visible in the meantime
+        const source = this.tileSource;
+        this.fetchTilePyramid(sourceUrl).then(descriptor => {
+            if (this.tileSource !== source) return;
+            source.descriptor = descriptor;
+            this.scheduleTileUpdate();
+        }).catch(error => {
+            if (this.tileSource !== source) return;
+            console.warn('Tiles unavailable, loading the full resolution image instead:', error);
+            this.tileSource = null;
+            this.loadImageWithProgress(sourceUrl, this.generateCacheKey(sourceUrl));
+        });
+    }
+    
+    scheduleTileUpdate() {
+        if (!this.tileSource) return;
+        
+        // Wait for drags and wheel zooms to settle before requesting tiles
+        clearTimeout(this.tileUpdateTimer);
+        this.tileUpdateTimer = setTimeout(() => this.updateTiles(), 100);
+    }
+    
+    clearTiles() {
+        clearTimeout(this.tileUpdateTimer);
+        this.tiles.clear();
+        this.tileLayer.replaceChildren();
+        this.tileLayer.style.display = 'none';
+    }
+    
+    updateTiles() {
+        const source = this.tileSource;
+        const baseWidth = this.image.naturalWidth;
+        const baseHeight = this.image.naturalHeight;
+        
+        // Only tile over the image the pyramid belongs to, once both are known
+        if (!source?.descriptor || this.image.dataset.originalUrl !== source.baseUrl || !baseWidth || !baseHeight) {
+            this.clearTiles();
+            return;
+        }
+        
+        const { width, height, tileSize, overlap, maxLevel, tileUrl } = source.descriptor;
+        const viewerRect = this.viewer.getBoundingClientRect();
+        
+        // Pick the smallest pyramid level that still has a pixel per screen pixel
+        const levelSize = (level) => ({
+            width: Math.ceil(width / 2 ** (maxLevel - level)),
+            height: Math.ceil(height / 2 ** (maxLevel - level))
+        });
+        const wantedWidth = baseWidth * this.scale * (window.devicePixelRatio || 1);
+        let level = maxLevel;
+        while (level > 0 && levelSize(level - 1).width >= wantedWidth) {
+            level--;
+        }
+        const { width: levelWidth, height: levelHeight } = levelSize(level);
+        
+        // The downsampled image is sharp enough at this zoom
+        if (levelWidth <= baseWidth) {
+            this.tiles.forEach(tile => tile.remove());
+            this.tiles.clear();
+            return;
+        }
+        
+        // The layer overlays the image's layout box, so tiles use the base image's pixel coordinates
+        this.tileLayer.style.display = 'block';
+        this.tileLayer.style.width = `${baseWidth}px`;
+        this.tileLayer.style.height = `${baseHeight}px`;
+        this.tileLayer.style.left = `${(viewerRect.width - baseWidth) / 2}px`;
+        this.tileLayer.style.top = `${(viewerRect.height - baseHeight) / 2}px`;
+        
+        const toLevelX = levelWidth / baseWidth;
+        const toLevelY = levelHeight / baseHeight;
+        
+        // Visible part of the image in level pixels (the transform origin is the image centre)
+        const left = ((-viewerRect.width / 2 - this.translateX) / this.scale + baseWidth / 2) * toLevelX;
+        const right = ((viewerRect.width / 2 - this.translateX) / this.scale + baseWidth / 2) * toLevelX;
+        const top = ((-viewerRect.height / 2 - this.translateY) / this.scale + baseHeight / 2) * toLevelY;
+        const bottom = ((viewerRect.height / 2 - this.translateY) / this.scale + baseHeight / 2) * toLevelY;
+        
+        const firstCol = Math.max(0, Math.floor(left / tileSize));
+        const lastCol = Math.min(Math.ceil(levelWidth / tileSize) - 1, Math.floor(right / tileSize));
+        const firstRow = Math.max(0, Math.floor(top / tileSize));
+        const lastRow = Math.min(Math.ceil(levelHeight / tileSize) - 1, Math.floor(bottom / tileSize));
+        
+        const visible = new Set();
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                const key = `${level}/${col}_${row}`;
+                visible.add(key);
+                if (this.tiles.has(key)) continue;
+                
+                // Tiles after the first row/column start `overlap` pixels early
+                const x = col * tileSize - (col > 0 ? overlap : 0);
+                const y = row * tileSize - (row > 0 ? overlap : 0);
+                const tileWidth = Math.min(levelWidth, (col + 1) * tileSize + overlap) - x;
+                const tileHeight = Math.min(levelHeight, (row + 1) * tileSize + overlap) - y;
+                
+                const tile = document.createElement('img');
+                tile.className = 'image-tile';
+                tile.alt = '';
+                tile.draggable = false;
+                tile.style.left = `${x / toLevelX}px`;
+                tile.style.top = `${y / toLevelY}px`;
+                tile.style.width = `${tileWidth / toLevelX}px`;
+                tile.style.height = `${tileHeight / toLevelY}px`;
+                tile.addEventListener('load', () => tile.classList.add('loaded'));
+                tile.src = tileUrl.replace('{level}', level).replace('{col}', col).replace('{row}', row);
+                
+                this.tileLayer.appendChild(tile);
+                this.tiles.set(key, tile);
+            }
+        }
+        
+        // Drop tiles that scrolled out of view or belong to another level
+        for (const [key, tile] of this.tiles) {
+            if (!visible.has(key)) {
+                tile.remove();
+                this.tiles.delete(key);
+            }
+        }
     }
     
     // Touch event handlers for mobile support
@@ -1816,11 +2917,18 @@ class ImageViewer {
         }
     }
     
+    // Panorama boxes of the datasets in the current (sorted/filtered) view
+    getVisibleBoxMappings() {
+        const visibleNumbers = new Set(this.datasets.map(dataset => parseInt(dataset.id)));
+        return this.boxMappings.filter(mapping => visibleNumbers.has(mapping.numero));
+    }
+    
     findClosestImagePair(x, y) {
-        if (!this.boxMappings.length) return null;
+        const mappings = this.getVisibleBoxMappings();
+        if (!mappings.length) return null;
         
         // First, try to find if click is within any box boundary
-        let directMapping = this.findDirectBoxMapping(x, y);
+        let directMapping = this.findDirectBoxMapping(x, y, mappings);
         if (directMapping) {
             console.log(`Direct hit in box for image: ${directMapping.numero}`);
             return directMapping;
@@ -1830,7 +2938,7 @@ class ImageViewer {
         let closestMapping = null;
         let minDistance = Infinity;
         
-        for (const mapping of this.boxMappings) {
+        for (const mapping of mappings) {
             // Calculate Euclidean distance from click point to box center
             const distance = Math.sqrt(
                 Math.pow(x - mapping.x, 2) + Math.pow(y - mapping.y, 2)
@@ -1846,9 +2954,9 @@ class ImageViewer {
         return closestMapping;
     }
     
-    findDirectBoxMapping(x, y) {
+    findDirectBoxMapping(x, y, mappings = this.boxMappings) {
         // Check if click is within any box boundaries
-        for (const mapping of this.boxMappings) {
+        for (const mapping of mappings) {
             const boxLeft = mapping.x - this.boxDimensions.width / 2;
             const boxRight = mapping.x + this.boxDimensions.width / 2;
             const boxTop = mapping.y - this.boxDimensions.height / 2;
@@ -1877,8 +2985,8 @@ class ImageViewer {
             this.datasetSelect.value = this.currentDatasetIndex;
             this.updateDatasetCounter();
             
-            // Check vegetation filter availability for new dataset
-            this.checkVegetationFilterAvailability();
+            // Check vegetation filter availability, timeline and info panel for new dataset
+            this.updateDatasetControls();
             
             // Load the new image (keeping current zoom/pan state)
             this.loadCurrentImage();
@@ -1889,6 +2997,8 @@ class ImageViewer {
             console.log(`Already viewing image pair ${imageNumber}`);
             // Still provide visual feedback
             this.highlightSelectedArea(imageNumber);
+        } else if (this.allDatasets.some(dataset => parseInt(dataset.id) === imageNumber)) {
+            this.statusText.textContent = `Image pair ${imageNumber} is hidden by the change filter`;
         } else {
             console.warn(`Image pair ${imageNumber} not found in datasets`);
         }
@@ -1901,15 +3011,7 @@ class ImageViewer {
         
         // Create temporary highlight effect
         const highlight = document.createElement('div');
-        highlight.style.cssText = `
-            position: absolute;
-            border: 3px solid #00ff00;
-            background: rgba(0, 255, 0, 0.2);
-            pointer-events: none;
-            border-radius: 4px;
-            z-index: 1000;
-            animation: pulse 0.8s ease-in-out;
-        `;
+        highlight.className = 'selected-area-highlight';
         
         // Calculate position and size relative to panorama container
         const panoramaRect = this.panoramaImageElement.getBoundingClientRect();
@@ -1942,17 +3044,6 @@ class ImageViewer {
         // Create a canvas overlay to show available click areas
         this.gridOverlay = document.createElement('canvas');
         this.gridOverlay.className = 'panorama-grid-overlay';
-        this.gridOverlay.style.cssText = `
-            position: absolute;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            pointer-events: none;
-            opacity: 0;
-            transition: opacity 0.3s ease;
-            z-index: 1;
-        `;
         
         const panoramaContainer = document.querySelector('.panorama-container');
         panoramaContainer.appendChild(this.gridOverlay);
@@ -1962,11 +3053,11 @@ class ImageViewer {
         
         // Show/hide grid on hover
         this.panoramaImageElement.addEventListener('mouseenter', () => {
-            this.gridOverlay.style.opacity = '0.6';
+            this.gridOverlay.classList.add('visible');
         });
         
         this.panoramaImageElement.addEventListener('mouseleave', () => {
-            this.gridOverlay.style.opacity = '0';
+            this.gridOverlay.classList.remove('visible');
             this.clearHoverHighlight();
         });
         
@@ -1996,12 +3087,12 @@ class ImageViewer {
         const scaleX = panoramaRect.width / this.panoramaImage.width;
         const scaleY = panoramaRect.height / this.panoramaImage.height;
         
-        // Draw subtle grid boxes for available areas
+        // Draw subtle grid boxes for available areas (datasets filtered out are not drawn)
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
         ctx.lineWidth = 1;
         ctx.setLineDash([2, 2]);
         
-        for (const mapping of this.boxMappings) {
+        for (const mapping of this.getVisibleBoxMappings()) {
             const boxLeft = (mapping.x - this.boxDimensions.width / 2) * scaleX;
             const boxTop = (mapping.y - this.boxDimensions.height / 2) * scaleY;
             const boxWidth = this.boxDimensions.width * scaleX;
@@ -2048,15 +3139,7 @@ class ImageViewer {
         
         // Create hover highlight
         this.hoverHighlight = document.createElement('div');
-        this.hoverHighlight.style.cssText = `
-            position: absolute;
-            border: 2px solid rgba(0, 255, 0, 0.8);
-            background: rgba(0, 255, 0, 0.1);
-            pointer-events: none;
-            border-radius: 3px;
-            z-index: 2;
-            transition: all 0.1s ease;
-        `;
+        this.hoverHighlight.className = 'hover-highlight';
         
         // Calculate position and size
         const panoramaRect = this.panoramaImageElement.getBoundingClientRect();
@@ -2086,6 +3169,161 @@ class ImageViewer {
             this.hoverHighlight = null;
         }
     }
+    
+    toggleGallery(open = !this.galleryOpen) {
+        this.galleryOpen = open;
+        this.galleryView.hidden = !open;
+        this.galleryToggle.classList.toggle('active', open);
+        
+        if (open) {
+            this.renderGallery(true);
+            // Start with the current dataset's row in view
+            const { cardHeight, gap, columns } = this.galleryLayout;
+            this.galleryView.scrollTop = Math.floor(this.currentDatasetIndex / columns) * (cardHeight + gap);
+            this.renderGallery();
+        }
+    }
+    
+    scheduleGalleryRender() {
+        if (this.galleryRenderFrame) return;
+        this.galleryRenderFrame = requestAnimationFrame(() => {
+            this.galleryRenderFrame = null;
+            this.renderGallery();
+        });
+    }
+    
+    // Size the grid for every dataset in the view and create the cards within a screen
+    // of the visible rows, dropping the rest. `rebuild` discards all cards, for when the
+    // dataset list itself changed.
+    renderGallery(rebuild = false) {
+        if (!this.galleryOpen) return;
+        
+        const { cardWidth, cardHeight, gap } = this.galleryLayout;
+        const columns = Math.max(1, Math.floor((this.galleryView.clientWidth - gap) / (cardWidth + gap)));
+        if (rebuild || columns !== this.galleryLayout.columns) {
+            this.galleryCards.forEach(card => card.remove());
+            this.galleryCards.clear();
+            this.galleryLayout.columns = columns;
+        }
+        
+        const rowHeight = cardHeight + gap;
+        const rows = Math.ceil(this.datasets.length / columns);
+        this.galleryGrid.style.height = `${rows * rowHeight + gap}px`;
+        
+        const viewTop = this.galleryView.scrollTop;
+        const viewHeight = this.galleryView.clientHeight;
+        const firstRow = Math.max(0, Math.floor((viewTop - viewHeight) / rowHeight));
+        const lastRow = Math.min(rows - 1, Math.ceil((viewTop + 2 * viewHeight) / rowHeight));
+        const first = firstRow * columns;
+        const last = Math.min(this.datasets.length - 1, (lastRow + 1) * columns - 1);
+        
+        for (const [index, card] of this.galleryCards) {
+            if (index < first || index > last) {
+                card.remove();
+                this.galleryCards.delete(index);
+            }
+        }
+        
+        for (let index = first; index <= last; index++) {
+            if (this.galleryCards.has(index)) continue;
+            const card = this.createGalleryCard(this.datasets[index], index);
+            card.style.left = `${gap + (index % columns) * (cardWidth + gap)}px`;
+            card.style.top = `${gap + Math.floor(index / columns) * rowHeight}px`;
+            this.galleryGrid.appendChild(card);
+            this.galleryCards.set(index, card);
+        }
+        
+        this.galleryCards.forEach((card, index) => {
+            card.classList.toggle('active', index === this.currentDatasetIndex);
+        });
+    }
+    
+    createGalleryCard(dataset, index) {
+        const card = document.createElement('div');
+        card.className = 'gallery-card';
+        card.setAttribute('role', 'button');
+        card.tabIndex = 0;
+        card.addEventListener('click', () => this.openDatasetFromGallery(index));
+        card.addEventListener('keydown', (e) => {
+            if (e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.openDatasetFromGallery(index);
+            }
+        });
+        
+        const title = document.createElement('span');
+        title.className = 'gallery-card-title';
+        title.textContent = `Image pair ${dataset.id}`;
+        const dates = (dataset.epochs || []).map(epoch => epoch.date).filter(Boolean);
+        if (dates.length) {
+            const range = document.createElement('span');
+            range.className = 'gallery-card-dates';
+            range.textContent = dates.length > 1 ? `${dates[0]} → ${dates[dates.length - 1]}` : dates[0];
+            title.appendChild(range);
+        }
+        
+        // Ticking a card adds the pair to the download selection instead of opening it
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'gallery-card-select';
+        select.title = 'Select for download';
+        select.checked = this.selectedDatasetIds.has(dataset.id);
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', () => {
+            if (select.checked) {
+                this.selectedDatasetIds.add(dataset.id);
+            } else {
+                this.selectedDatasetIds.delete(dataset.id);
+            }
+            card.classList.toggle('selected', select.checked);
+            this.updateDownloadControls();
+        });
+        card.classList.toggle('selected', select.checked);
+        title.appendChild(select);
+        
+        const thumbnails = document.createElement('span');
+        thumbnails.className = 'gallery-card-thumbnails';
+        const showChange = Boolean(this.getCurrentProject()?.layers?.ssiMap);
+        const entries = [
+            ['Pre', dataset.preEvent],
+            ['Post', dataset.postEvent],
+            ['Change', showChange ? dataset.changeDetection : null]
+        ];
+        for (const [label, urls] of entries) {
+            if (!urls) continue;
+            const thumbnail = document.createElement('span');
+            thumbnail.className = 'gallery-thumbnail';
+            if (urls.thumbnail) {
+                const image = document.createElement('img');
+                image.loading = 'lazy';
+                image.decoding = 'async';
+                image.alt = `${label} ${dataset.id}`;
+                image.src = urls.thumbnail;
+                thumbnail.appendChild(image);
+            }
+            const caption = document.createElement('span');
+            caption.className = 'gallery-thumbnail-label';
+            caption.textContent = label;
+            thumbnail.appendChild(caption);
+            thumbnails.appendChild(thumbnail);
+        }
+        
+        card.append(title, thumbnails);
+        return card;
+    }
+    
+    openDatasetFromGallery(index) {
+        this.toggleGallery(false);
+        if (index === this.currentDatasetIndex) return;
+        
+        this.currentDatasetIndex = index;
+        this.datasetSelect.value = index;
+        this.updateDatasetCounter();
+        this.updateDatasetControls();
+        // Opening a card is a jump like picking from the dropdown, so start with a fresh view
+        this.resetView();
+        this.loadCurrentImage();
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
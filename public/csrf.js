@@ -0,0 +1,45 @@
+// Requests that change something (POST, PUT, PATCH, DELETE) must carry the session's
+// CSRF token in the X-CSRF-Token header. Pages include this script and send such
+// requests with csrfFetch(), or add csrfToken() themselves (e.g. for XMLHttpRequest).
+
+let csrfTokenRequest = null;
+
+// The session's token, asked for once per page and again after the server refused it
+const csrfToken = () => {
+    if (!csrfTokenRequest) {
+        csrfTokenRequest = fetch('/api/csrf-token')
+            .then(response => response.json())
+            .then(result => result.csrfToken)
+            .catch(() => {
+                csrfTokenRequest = null;
+                return ''; // The request is then refused with 403
+            });
+    }
+    return csrfTokenRequest;
+};
+
+// Whether the server refused the request's CSRF token, rather than the request itself
+const csrfRejected = async (response) => {
+    if (response.status !== 403) {
+        return false;
+    }
+    const result = await response.clone().json().catch(() => ({}));
+    return /CSRF token/.test(result.error || '');
+};
+
+// fetch() with the CSRF token header added. If the token no longer matches the session
+// (it expired, e.g. a login page left open, or cookies were cleared), the request is
+// sent once more with a new one.
+const csrfFetch = async (url, options = {}) => {
+    const headers = new Headers(options.headers);
+    const send = async () => {
+        headers.set('X-CSRF-Token', await csrfToken());
+        return fetch(url, { ...options, headers });
+    };
+    let response = await send();
+    if (await csrfRejected(response)) {
+        csrfTokenRequest = null;
+        response = await send();
+    }
+    return response;
+};
@@ -514,40 +514,40 @@ class PerformanceMonitor {
         `;
         
         overlay.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-                <h3 style="margin: 0; color: #4CAF50;">Performance Monitor</h3>
-                <button id="close-perf-overlay" style="background: none; border: none; color: white; cursor: pointer; font-size: 16px;">×</button>
+            <div class="perf-overlay-header">
+                <h3>Performance Monitor</h3>
+                <button id="close-perf-overlay">×</button>
             </div>
             <div id="perf-content">
                 <div id="core-web-vitals">
-                    <h4 style="margin: 5px 0; color: #2196F3;">Core Web Vitals</h4>
+                    <h4>Core Web Vitals</h4>
                     <div id="lcp-metric">LCP: <span>-</span></div>
                     <div id="fid-metric">FID: <span>-</span></div>
                     <div id="cls-metric">CLS: <span>-</span></div>
                 </div>
                 
                 <div id="image-performance">
-                    <h4 style="margin: 5px 0; color: #FF9800;">Image Performance</h4>
+                    <h4>Image Performance</h4>
                     <div id="current-load">Current: <span>-</span></div>
                     <div id="avg-load-time">Avg Load: <span>-</span></div>
                     <div id="cache-hit-rate">Cache Hit Rate: <span>-</span></div>
                 </div>
                 
                 <div id="memory-usage">
-                    <h4 style="margin: 5px 0; color: #9C27B0;">Memory Usage</h4>
+                    <h4>Memory Usage</h4>
                     <div id="heap-used">Heap Used: <span>-</span></div>
                     <div id="heap-utilization">Utilization: <span>-</span></div>
                 </div>
                 
                 <div id="network-performance">
-                    <h4 style="margin: 5px 0; color: #00BCD4;">Network</h4>
+                    <h4>Network</h4>
                     <div id="avg-ttfb">Avg TTFB: <span>-</span></div>
                     <div id="avg-download">Avg Download: <span>-</span></div>
                 </div>
                 
                 <div id="performance-issues">
-                    <h4 style="margin: 5px 0; color: #F44336;">Recent Issues</h4>
-                    <div id="issues-list" style="max-height: 100px; overflow-y: auto;">No issues</div>
+                    <h4>Recent Issues</h4>
+                    <div id="issues-list">No issues</div>
                 </div>
             </div>
         `;
@@ -619,15 +619,15 @@ class PerformanceMonitor {
         // Update Core Web Vitals
         if (this.metrics.coreWebVitals.lcp) {
             document.getElementById('lcp-metric').innerHTML = 
-                `LCP: <span style="color: ${this.getVitalColor(this.metrics.coreWebVitals.lcp.rating)}">${this.metrics.coreWebVitals.lcp.value.toFixed(0)}ms</span>`;
+                `LCP: <span class="${this.getVitalClass(this.metrics.coreWebVitals.lcp.rating)}">${this.metrics.coreWebVitals.lcp.value.toFixed(0)}ms</span>`;
         }
         if (this.metrics.coreWebVitals.fid) {
             document.getElementById('fid-metric').innerHTML = 
-                `FID: <span style="color: ${this.getVitalColor(this.metrics.coreWebVitals.fid.rating)}">${this.metrics.coreWebVitals.fid.value.toFixed(0)}ms</span>`;
+                `FID: <span class="${this.getVitalClass(this.metrics.coreWebVitals.fid.rating)}">${this.metrics.coreWebVitals.fid.value.toFixed(0)}ms</span>`;
         }
         if (this.metrics.coreWebVitals.cls) {
             document.getElementById('cls-metric').innerHTML = 
-                `CLS: <span style="color: ${this.getVitalColor(this.metrics.coreWebVitals.cls.rating)}">${this.metrics.coreWebVitals.cls.value.toFixed(3)}</span>`;
+                `CLS: <span class="${this.getVitalClass(this.metrics.coreWebVitals.cls.rating)}">${this.metrics.coreWebVitals.cls.value.toFixed(3)}</span>`;
         }
         
         // Update Image Performance
@@ -651,7 +651,7 @@ class PerformanceMonitor {
             document.getElementById('heap-used').innerHTML = 
                 `Heap Used: <span>${(latestMemory.used / 1024 / 1024).toFixed(1)}MB</span>`;
             document.getElementById('heap-utilization').innerHTML = 
-                `Utilization: <span style="color: ${latestMemory.utilizationPercent > 80 ? '#F44336' : '#4CAF50'}">${latestMemory.utilizationPercent.toFixed(1)}%</span>`;
+                `Utilization: <span class="${latestMemory.utilizationPercent > 80 ? 'perf-poor' : 'perf-good'}">${latestMemory.utilizationPercent.toFixed(1)}%</span>`;
         }
         
         // Update Network Performance
@@ -671,19 +671,20 @@ class PerformanceMonitor {
         if (this.metrics.issues && this.metrics.issues.length > 0) {
             const recentIssues = this.metrics.issues.slice(-5);
             issuesList.innerHTML = recentIssues.map(issue => 
-                `<div style="font-size: 10px; margin: 2px 0; color: #F44336;">${issue.type}: ${JSON.stringify(issue.data).substring(0, 50)}...</div>`
+                `<div class="perf-issue">${issue.type}: ${JSON.stringify(issue.data).substring(0, 50)}...</div>`
             ).join('');
         } else {
-            issuesList.innerHTML = '<div style="color: #4CAF50;">No issues</div>';
+            issuesList.innerHTML = '<div class="perf-good">No issues</div>';
         }
     }
 
-    getVitalColor(rating) {
+    // Classes in styles.css; the page's Content-Security-Policy blocks style attributes
+    getVitalClass(rating) {
         switch (rating) {
-            case 'good': return '#4CAF50';
-            case 'needs-improvement': return '#FF9800';
-            case 'poor': return '#F44336';
-            default: return '#999';
+            case 'good': return 'perf-good';
+            case 'needs-improvement': return 'perf-needs-improvement';
+            case 'poor': return 'perf-poor';
+            default: return 'perf-unknown';
         }
     }
 
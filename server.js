@@ -1,100 +1,300 @@
+// Settings come from the environment, .env and config/server.json; a bad or unsafe
+// configuration stops the server here with a list of what to fix
+let config;
+try {
+  config = require('./lib/config');
+} catch (error) {
+  console.error(`Configuration error: ${error.message}`);
+  process.exit(1);
+}
+
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const session = require('express-session');
-const crypto = require('crypto');
-require('dotenv').config();
+const { EventEmitter } = require('events');
+const multer = require('multer');
+const { loadProjectRegistry } = require('./lib/project-registry');
+const { DatasetIndex } = require('./lib/dataset-index');
+const { readImageInfo } = require('./lib/image-info');
+const { ImageVariantCache, isConvertible, resolveVariant } = require('./lib/image-variants');
+const { TilePyramidCache } = require('./lib/tile-pyramid');
+const { differenceCacheFilename, writeDifferenceImage } = require('./lib/difference-image');
+const { readChangeHistogram, summarizeHistogram, changeScore } = require('./lib/change-stats');
+const { THUMBNAIL_SIZE, createImageResolver, getMimeType, getThumbnailFilename, isDerivedImage } = require('./lib/image-paths');
+const { ARCHIVE_VARIANTS, streamDatasetArchive } = require('./lib/dataset-archive');
+const { UPLOAD_FIELDS, createUploadedDataset } = require('./lib/dataset-upload');
+const { JobQueue } = require('./lib/job-queue');
+const { UserStore } = require('./lib/user-store');
+const { ApiTokenStore } = require('./lib/api-token-store');
+const { FileSessionStore } = require('./lib/file-session-store');
+const { ROLE_PERMISSIONS, canAccessProject, can, canInAny } = require('./lib/access-control');
+const { LoginThrottle } = require('./lib/login-throttle');
+const { csrfToken, verifyCsrfToken } = require('./lib/csrf');
+const { securityHeaders } = require('./lib/security-headers');
+const { openEventStream } = require('./lib/event-stream');
+const { processDirectory } = require('./create-downsampled-images');
+const metrics = require('./lib/metrics');
+const { logger, logRequests } = require('./lib/logger');
 
 const app = express();
-const PORT = 3000;
 
-app.use(cors());
+// Behind a reverse proxy, this decides which X-Forwarded-* headers are believed (client IP, https)
+app.set('trust proxy', config.trustProxy);
+
+// Projects (events and survey campaigns) are declared in config/projects.json (PROJECTS_CONFIG);
+// their data roots are relative to DATA_DIR
+const projectRegistry = loadProjectRegistry(config.projectsConfig);
+
+// Image URLs only ever resolve to image files inside the registered data roots
+const resolveImage = createImageResolver(projectRegistry, config.dataDir);
+
+// Dataset lists are indexed once at startup and kept fresh by watching the data roots
+const datasetIndex = new DatasetIndex(projectRegistry, config.dataDir);
+datasetIndex.on('updated', ({ projectId, added, removed, modified }) => {
+  logger.info({ project: projectId, added: added.length, removed: removed.length, modified: modified.length }, 'Dataset index updated');
+});
+
+// Build the dataset index in the background; requests arriving earlier wait for it, and
+// if it fails the next request that needs it builds it again
+datasetIndex.start().then(() => {
+  logger.info('Dataset index ready');
+}).catch((error) => {
+  logger.error({ err: error }, 'Failed to build dataset index');
+});
+
+// Index changes pushed to open viewers (/api/events): the new order plus the added and
+// modified datasets, so clients can merge them without re-fetching the list
+const liveUpdates = new EventEmitter();
+liveUpdates.setMaxListeners(0); // One listener per connected viewer
+datasetIndex.on('updated', ({ projectId, added, removed, modified }) => {
+  const { datasets, list, etag } = datasetIndex.projects.get(projectId);
+  liveUpdates.emit('datasets', {
+    project: projectId,
+    etag,
+    order: list.map(dataset => dataset.id),
+    added,
+    removed,
+    modified,
+    datasets: [...added, ...modified].map(id => datasets.get(id))
+  });
+});
+
+// Resized (?w=/?h=) and WebP/AVIF versions of images, generated on first request
+const imageVariantCache = new ImageVariantCache({
+  directory: config.imageCache.directory,
+  maxBytes: config.imageCache.maxBytes
+});
+
+// Deep-zoom tile pyramids for full resolution viewing, generated on first request
+const tilePyramidCache = new TilePyramidCache({
+  directory: config.tileCache.directory,
+  maxBytes: config.tileCache.maxBytes
+});
+
+// Background jobs started from the admin page, e.g. regenerating _2x images and thumbnails
+const jobQueue = new JobQueue({ concurrency: config.jobs.concurrency });
+jobQueue.register('derivatives', async ({ project: projectId, dataset, force, thumbnails }, { signal, progress }) => {
+  const rootPath = datasetIndex.rootPath(projectRegistry.getProject(projectId));
+  const relative = (file) => file && path.relative(rootPath, file);
+  
+  let errors = 0;
+  const results = await processDirectory(dataset ? path.join(rootPath, dataset) : rootPath, {
+    force,
+    thumbnails,
+    quiet: true,
+    signal,
+    onProgress: ({ done, total, file }) => progress({ done, total, file: relative(file) }),
+    onFailure: ({ path: file, error }) => {
+      logger.warn({ project: projectId, file: relative(file), error }, 'Could not create derivative image');
+      progress({ errors: ++errors });
+    }
+  });
+  return { ...results, failures: results.failures.map(failure => ({ ...failure, path: relative(failure.path) })) };
+});
+jobQueue.on('job', (job) => {
+  if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+    logger.info({ job: job.id, type: job.type, params: job.params, status: job.status, error: job.error, user: job.createdBy }, 'Job finished');
+  }
+});
+
+// Uploaded images are received into a temporary folder, then moved into a new dataset
+const uploadDirectory = config.uploads.directory;
+fs.mkdirSync(uploadDirectory, { recursive: true });
+const upload = multer({
+  dest: uploadDirectory,
+  limits: {
+    fileSize: config.uploads.maxBytes,
+    files: UPLOAD_FIELDS.length,
+    fields: 10
+  }
+});
+
+// Accounts live in config/users.json (USERS_FILE) and are managed with manage-users.js.
+// A server without accounts but with LOGIN_USERNAME/LOGIN_PASSWORD (the single shared login
+// used before) gets that login as its first administrator.
+const userStore = new UserStore(config.usersFile);
+if (userStore.list().length === 0) {
+  if (config.login.username) {
+    userStore.add(config.login.username, config.login.password, { role: 'admin' })
+      .then(user => logger.warn({ user: user.username, file: config.usersFile }, 'Created administrator from LOGIN_USERNAME; LOGIN_USERNAME and LOGIN_PASSWORD can now be removed from .env'))
+      .catch(error => logger.error({ err: error }, 'Could not create administrator from LOGIN_USERNAME'));
+  } else {
+    logger.warn({ file: config.usersFile }, 'No user accounts yet; add one with: node manage-users.js add <username> --admin');
+  }
+}
+
+// Personal API tokens for scripts, created on the settings page (config/api-tokens.json)
+const apiTokenStore = new ApiTokenStore(config.apiTokensFile);
+
+// Failed logins slow down and then lock out the client IP and the username tried
+const loginThrottle = new LoginThrottle({
+  maxFailures: config.loginThrottle.maxFailures,
+  maxFailuresPerIp: config.loginThrottle.maxFailuresPerIp,
+  lockoutMs: config.loginThrottle.lockoutMs
+});
+
+// Sessions are kept in files (SESSION_DIR), so logins survive restarts and deploys. The
+// store is also counted for /metrics and listed on the admins' Sessions page.
+const sessionStore = new FileSessionStore({ directory: config.session.directory, maxAge: config.session.maxAge });
+metrics.observeServerState({ sessionStore, datasetIndex });
+
+app.use(logRequests);
+app.use(metrics.observeRequests);
+
+// CSP (allowing the pages' own inline scripts and styles), framing and referrer headers
+app.use(securityHeaders({
+  pages: fs.readdirSync(path.join(__dirname, 'public'))
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.join(__dirname, 'public', file)),
+  mode: config.contentSecurityPolicy
+}));
+
+// The viewer's own pages are same-origin; other sites may only call the API from the
+// origins in CORS_ORIGINS (none by default)
+app.use(cors({
+  origin: config.corsOrigins.length ? config.corsOrigins : false,
+  credentials: true
+}));
 app.use(express.json());
+
+// Prometheus scrapes authenticate with their own token (METRICS_TOKEN), not a login session
+app.get('/metrics', metrics.createMetricsHandler(config.metricsToken));
+
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'your-secret-key',
+  store: sessionStore,
+  secret: config.session.secret,
   resave: false,
   saveUninitialized: false,
-  cookie: { 
-    secure: false, // set to true if using https
+  cookie: {
+    secure: config.session.cookieSecure, // 'auto': secure cookies on https requests (see TRUST_PROXY)
     httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    sameSite: 'lax',
+    maxAge: config.session.maxAge
   }
 }));
 
-// Middleware to check authentication
+// The account of a logged-in session (req.user) is looked up on every request, so removing
+// a user logs them out and changes to their account apply straight away.
+// Scripts call /api/* with "Authorization: Bearer <API token>" instead of a session; the
+// token acts as its user, and a wrong, expired or revoked one is refused outright.
+app.use((req, res, next) => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (bearer && req.path.startsWith('/api/')) {
+    try {
+      req.apiToken = apiTokenStore.authenticate(bearer[1]);
+      req.user = req.apiToken ? userStore.get(req.apiToken.username) : null;
+    } catch (error) {
+      return next(error);
+    }
+    if (!req.user) {
+      req.log.warn({ event: 'api_token_rejected' }, 'Request with an invalid API token');
+      return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+    }
+    return next();
+  }
+
+  if (!req.session.authenticated) {
+    return next();
+  }
+  try {
+    req.user = userStore.get(req.session.username);
+  } catch (error) {
+    return next(error);
+  }
+  if (!req.user) {
+    req.session.authenticated = false;
+  }
+  next();
+});
+
+// Every POST, PUT, PATCH and DELETE from here on needs the session's CSRF token
+// (GET /api/csrf-token, or csrfToken in /api/me and the login response)
+app.use(verifyCsrfToken);
+
+// Middleware to check authentication: pages redirect to the login page, API requests
+// get a 401 that scripts can handle
 const requireAuth = (req, res, next) => {
-  if (req.session.authenticated) {
+  if (req.user) {
     next();
+  } else if (req.originalUrl.startsWith('/api/')) {
+    res.status(401).json({ error: 'Authentication required' });
   } else {
     res.redirect('/login.html');
   }
 };
 
-// Helper function to get MIME type based on file extension
-const getMimeType = (filename) => {
-  const ext = path.extname(filename).toLowerCase();
-  const mimeTypes = {
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.webp': 'image/webp',
-    '.tiff': 'image/tiff',
-    '.tif': 'image/tiff'
-  };
-  return mimeTypes[ext] || 'application/octet-stream';
-};
-
-// Helper function to generate both full and downsampled image URLs with vegetation filter support
-const generateImageUrls = (basePath, filename, hasVegFilter = false) => {
-  const ext = path.extname(filename);
-  const base = path.basename(filename, ext);
-  const downsampledFilename = `${base}_2x${ext}`;
-  
-  const urls = {
-    full: `/api/image/${basePath}/${filename}`,
-    downsampled: `/api/image/${basePath}/${downsampledFilename}`
-  };
-  
-  // Add vegetation filter variants if available
-  if (hasVegFilter) {
-    urls.vegFilter = {
-      full: `/api/image/${basePath}/no_veg_filter/${filename}`,
-      downsampled: `/api/image/${basePath}/no_veg_filter/${downsampledFilename}`
-    };
+// Account security (login lockouts) is limited to admins
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
   }
-  
-  return urls;
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+  next();
 };
 
-// Helper function to check if downsampled version exists
-const hasDownsampledVersion = (fullPath) => {
-  const dir = path.dirname(fullPath);
-  const filename = path.basename(fullPath);
-  const ext = path.extname(filename);
-  const base = path.basename(filename, ext);
-  const downsampledFilename = `${base}_2x${ext}`;
-  const downsampledPath = path.join(dir, downsampledFilename);
-  
-  return fs.existsSync(downsampledPath);
+// Changes to the data (uploads and jobs) are limited to users who may manage at least
+// one project (admins and reviewers); the routes then check the project itself
+const requireManager = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!canInAny(req.user, 'manage', projectRegistry.projects.map(project => project.id))) {
+    return res.status(403).json({ error: 'Not allowed to manage any project' });
+  }
+  next();
 };
 
-// Helper function to check if vegetation filter version exists
-const hasVegetationFilter = (basePath, filename) => {
-  const vegFilterDir = path.join(__dirname, basePath, 'no_veg_filter');
-  if (!fs.existsSync(vegFilterDir)) {
-    return false;
+// Routes with a :project check the user's grants: projects outside them do not exist
+// for the user, and inside them the role decides what is allowed. Unknown projects are
+// left to the route's own 404.
+const requireProjectAccess = (permission = 'view') => (req, res, next) => {
+  const projectId = req.params.project;
+  if (!projectRegistry.getProject(projectId) || can(req.user, permission, projectId)) {
+    return next();
   }
-  
-  const vegFilterFile = path.join(vegFilterDir, filename);
-  return fs.existsSync(vegFilterFile);
+  if (!canAccessProject(req.user, projectId)) {
+    return res.status(404).json({ error: 'Unknown project' });
+  }
+  res.status(403).json({ error: 'Not allowed for your role in this project' });
 };
 
-// Helper function to detect if a dataset folder has vegetation filter variants
-const detectVegetationFilterSupport = (folderPath) => {
-  const vegFilterPath = path.join(folderPath, 'no_veg_filter');
-  return fs.existsSync(vegFilterPath) && fs.statSync(vegFilterPath).isDirectory();
+const FULL_RESOLUTION_DENIED = { status: 403, error: 'Full resolution images are not available for your role' };
+
+// resolveImage for the current user: images of projects outside their grants are denied
+// like paths outside the data roots, and permission 'fullResolution' also requires that
+const resolveUserImage = async (req, segments, resolution, permission = 'view') => {
+  const resolved = await resolveImage(segments, resolution);
+  if (resolved.error) {
+    return resolved;
+  }
+  if (!canAccessProject(req.user, resolved.project.id)) {
+    return { status: 403, error: 'Access denied' };
+  }
+  return can(req.user, permission, resolved.project.id) ? resolved : FULL_RESOLUTION_DENIED;
 };
 
 // Add progressive JPEG hint for browsers
@@ -117,33 +317,92 @@ const getImageHeaders = (mimeType, stats, etag) => {
   return headers;
 };
 
-// Optimized image serving function
-const serveOptimizedImage = async (req, res, imagePath) => {
-  const fullPath = path.resolve(__dirname, imagePath);
+// Conditional request check shared by original files and generated variants
+const isNotModified = (req, etag, mtime) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = req.headers['if-modified-since'];
+  
+  return Boolean((ifNoneMatch && ifNoneMatch === etag) || 
+    (!ifNoneMatch && ifModifiedSince && new Date(ifModifiedSince) >= mtime));
+};
+
+// Serve a resized and/or re-encoded version of an image from the variant cache. Returns
+// false, having sent nothing, if the variant could not be generated.
+const serveImageVariant = async (req, res, fullPath, stats, variant, negotiated) => {
+  const { width, height, format } = variant;
+  const etag = `"${stats.mtime.getTime()}-${stats.size}-${width || ''}x${height || ''}-${format}"`;
   
-  // Security check - ensure path is within project directory
-  if (!fullPath.startsWith(path.resolve(__dirname))) {
-    return res.status(403).json({ error: 'Access denied' });
+  // Variants are served whole; the Accept header decides the format unless ?format= was given
+  const setVariantHeaders = (mimeType) => {
+    res.set(getImageHeaders(mimeType, stats, etag));
+    res.set({
+      'Accept-Ranges': 'none',
+      'Vary': negotiated ? 'Accept, Accept-Encoding' : 'Accept-Encoding'
+    });
+  };
+  
+  if (isNotModified(req, etag, stats.mtime)) {
+    setVariantHeaders(`image/${format}`);
+    return res.status(304).end();
   }
   
+  let cached;
+  try {
+    cached = await imageVariantCache.get(fullPath, stats, variant);
+  } catch (error) {
+    req.log.warn({ err: error, variant }, 'Could not generate image variant, serving the original');
+    return false;
+  }
+  setVariantHeaders(cached.mimeType);
+  res.set('Content-Length', cached.size.toString());
+  
+  res.sendFile(cached.path, { dotfiles: 'allow' }, (err) => {
+    if (err) {
+      req.log.error({ err }, 'SendFile error');
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to serve file' });
+      }
+    }
+  });
+};
+
+// Optimized image serving function; fullPath must already be resolved and access-checked
+const serveOptimizedImage = async (req, res, fullPath) => {
+  metrics.observeImageResponse(req, res);
+  
   try {
     // Check if file exists and get stats
     const stats = await fs.promises.stat(fullPath);
     
     // Generate strong ETag using file stats and content hash for better cache validation
     const etag = `"${stats.mtime.getTime()}-${stats.size}"`;
-    const lastModified = stats.mtime.toUTCString();
     const mimeType = getMimeType(path.basename(fullPath));
     
+    // ?w=/?h= resizing and WebP/AVIF negotiation are served from the variant cache. The
+    // source dimensions rule out formats it is too large for (WebP stops at 16383 px).
+    const sourceSize = isConvertible(mimeType) ? await readImageInfo(fullPath).catch(() => null) : null;
+    const { variant, negotiated, error: variantError } = resolveVariant(
+      req.query, req.headers.accept, mimeType, Boolean(req.headers.range), sourceSize
+    );
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+    if (variant) {
+      res.locals.imageKind = 'variant';
+      if (await serveImageVariant(req, res, fullPath, stats, variant, negotiated) !== false) {
+        return;
+      }
+      res.locals.imageKind = 'original';
+    }
+    
     // Set comprehensive caching headers
     res.set(getImageHeaders(mimeType, stats, etag));
+    if (negotiated) {
+      res.set('Vary', 'Accept, Accept-Encoding');
+    }
     
     // Handle conditional requests (304 Not Modified)
-    const ifNoneMatch = req.headers['if-none-match'];
-    const ifModifiedSince = req.headers['if-modified-since'];
-    
-    if ((ifNoneMatch && ifNoneMatch === etag) || 
-        (ifModifiedSince && new Date(ifModifiedSince) >= stats.mtime)) {
+    if (isNotModified(req, etag, stats.mtime)) {
       return res.status(304).end();
     }
     
@@ -174,7 +433,7 @@ const serveOptimizedImage = async (req, res, imagePath) => {
       
       // Handle stream errors
       stream.on('error', (err) => {
-        console.error('Stream error:', err);
+        req.log.error({ err }, 'Stream error');
         if (!res.headersSent) {
           res.status(500).json({ error: 'Failed to read file' });
         }
@@ -194,7 +453,7 @@ const serveOptimizedImage = async (req, res, imagePath) => {
     // Use sendFile with proper error handling for full file delivery
     res.sendFile(fullPath, (err) => {
       if (err) {
-        console.error('SendFile error:', err);
+        req.log.error({ err }, 'SendFile error');
         if (!res.headersSent) {
           res.status(500).json({ error: 'Failed to serve file' });
         }
@@ -202,10 +461,10 @@ const serveOptimizedImage = async (req, res, imagePath) => {
     });
     
   } catch (error) {
-    console.error('File access error:', error);
     if (error.code === 'ENOENT') {
       return res.status(404).json({ error: 'Image not found' });
     }
+    req.log.error({ err: error }, 'File access error');
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -215,21 +474,141 @@ app.get('/login.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
+// Adds the CSRF token to the pages' requests; the login page needs it before there is a login
+app.use('/csrf.js', express.static('public/csrf.js'));
+
+// The CSRF token for the session, which the login page needs before there is a login
+app.get('/api/csrf-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ csrfToken: csrfToken(req.session) });
+});
+
+// Reject a login attempt that has to wait, with the wait in Retry-After and retryAfter (seconds)
+const sendLoginThrottled = (res, status, message, { retryAfterMs, locked }) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(status).json({ success: false, message, retryAfter, locked });
+};
+
 // Login endpoint
-app.post('/api/login', (req, res) => {
-  const { username, password } = req.body;
-  
-  if (username === process.env.LOGIN_USERNAME && password === process.env.LOGIN_PASSWORD) {
-    req.session.authenticated = true;
-    res.json({ success: true });
-  } else {
-    res.status(401).json({ success: false, message: 'Invalid credentials' });
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  const loginName = typeof username === 'string' ? username : '';
+
+  // Attempts during backoff or a lockout are refused without checking the password
+  const wait = loginThrottle.begin(req.ip, loginName);
+  if (wait.retryAfterMs > 0) {
+    metrics.loginThrottled.inc();
+    req.log.warn({ event: 'login_throttled', user: loginName || null, retryAfterMs: wait.retryAfterMs }, 'Login attempt refused');
+    return sendLoginThrottled(res, 429, wait.locked ? 'Too many failed logins' : 'Too many attempts', wait);
+  }
+
+  let user;
+  try {
+    user = await userStore.authenticate(username, password);
+  } catch (error) {
+    loginThrottle.release(req.ip, loginName);
+    req.log.error({ err: error }, 'Error checking login');
+    return res.status(500).json({ success: false, message: 'Login is unavailable' });
+  }
+
+  if (!user) {
+    metrics.loginFailures.inc();
+    req.log.warn({ event: 'login_failed', user: loginName || null }, 'Login failed');
+    const failure = loginThrottle.recordFailure(req.ip, loginName);
+    for (const { type, id, failures } of failure.lockedOut) {
+      metrics.loginLockouts.inc({ type });
+      req.log.warn({ event: 'login_lockout', type, id, failures, lockoutMs: config.loginThrottle.lockoutMs }, 'Login locked out');
+    }
+    return sendLoginThrottled(res, 401, 'Invalid credentials', failure);
   }
+
+  loginThrottle.recordSuccess(req.ip, loginName);
+
+  // A new session id on login, so an id planted before it cannot be used afterwards
+  req.session.regenerate((error) => {
+    if (error) {
+      req.log.error({ err: error }, 'Error creating session');
+      return res.status(500).json({ success: false, message: 'Login is unavailable' });
+    }
+    req.session.authenticated = true;
+    req.session.username = user.username;
+    // For the Sessions page
+    req.session.loginAt = new Date().toISOString();
+    req.session.ip = req.ip;
+    req.session.userAgent = (req.get('User-Agent') || '').slice(0, 200);
+    req.log.info({ event: 'login', user: user.username }, 'Login succeeded');
+    res.json({ success: true, username: user.username, csrfToken: csrfToken(req.session) });
+  });
 });
 
 // Logout endpoint
 app.post('/api/logout', (req, res) => {
-  req.session.destroy();
+  const username = req.user?.username;
+  req.session.destroy((error) => {
+    if (error) {
+      req.log.error({ err: error }, 'Error ending session');
+    }
+    if (username) {
+      req.log.info({ event: 'logout', user: username }, 'Logged out');
+    }
+    res.clearCookie('connect.sid');
+    res.json({ success: true });
+  });
+});
+
+// Who is logged in, for the status bar, and what they may do in at least one of their
+// projects, for showing or hiding controls
+app.get('/api/me', requireAuth, (req, res) => {
+  const projectIds = projectRegistry.projects.map(project => project.id);
+  res.json({
+    username: req.user.username,
+    role: req.user.role,
+    admin: req.user.role === 'admin',
+    permissions: ROLE_PERMISSIONS[req.user.role].filter(permission => canInAny(req.user, permission, projectIds)),
+    csrfToken: req.apiToken ? undefined : csrfToken(req.session)
+  });
+});
+
+// API tokens are managed from a login session only, so a leaked token cannot be used
+// to list the user's other tokens or make new ones
+const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'API tokens are managed on the settings page, not with an API token' });
+  }
+  next();
+};
+
+app.get('/api/tokens', requireAuth, requireSession, (req, res, next) => {
+  try {
+    res.json(apiTokenStore.list(req.user.username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Creates a token for the logged-in user; the response is the only time the token is shown
+app.post('/api/tokens', requireAuth, requireSession, (req, res) => {
+  const { name, expiresInDays = null } = req.body || {};
+  let token;
+  try {
+    token = apiTokenStore.create(req.user.username, { name, expiresInDays });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  req.log.info({ event: 'api_token_created', user: req.user.username, tokenId: token.id, expiresAt: token.expiresAt }, 'API token created');
+  res.status(201).json(token);
+});
+
+app.delete('/api/tokens/:id', requireAuth, requireSession, (req, res, next) => {
+  try {
+    if (!apiTokenStore.revoke(req.user.username, req.params.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+  } catch (error) {
+    return next(error);
+  }
+  req.log.info({ event: 'api_token_revoked', user: req.user.username, tokenId: req.params.id }, 'API token revoked');
   res.json({ success: true });
 });
 
@@ -238,201 +617,627 @@ app.get('/', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+app.get('/upload.html', requireAuth, requireManager, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'upload.html'));
+});
+
+app.get('/lockouts.html', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'lockouts.html'));
+});
+
+app.get('/settings.html', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'settings.html'));
+});
+
+app.get('/sessions.html', requireAuth, requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'sessions.html'));
+});
+
+app.get('/jobs.html', requireAuth, requireManager, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'jobs.html'));
+});
+
 // Serve static files with authentication
 app.use('/styles.css', requireAuth, express.static('public/styles.css'));
 app.use('/app.js', requireAuth, express.static('public/app.js'));
 
 // Serve panorama files
-app.get('/panorama.png', requireAuth, (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'panorama.png'));
+app.get('/panorama.png', requireAuth, async (req, res) => {
+  // Served like dataset images so the overlay can request a small WebP/AVIF copy
+  await serveOptimizedImage(req, res, path.join(__dirname, 'public', 'panorama.png'));
 });
 
 app.get('/highlighted_box_centers.csv', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'highlighted_box_centers.csv'));
 });
 
-app.get('/api/datasets/:project', requireAuth, (req, res) => {
-  const { project } = req.params;
+// List the projects the user may see, for the project dropdown
+app.get('/api/projects', requireAuth, (req, res) => {
+  res.json(projectRegistry.toPublicJSON().filter(project => canAccessProject(req.user, project.id)));
+});
+
+// Server-Sent Events for open viewers; 'datasets' reports index changes of the user's projects.
+// The account is looked up again for every update, so changed grants apply to open streams.
+app.get('/api/events', requireAuth, (req, res) => {
+  const send = openEventStream(req, res, () => liveUpdates.off('datasets', onDatasets));
+  const onDatasets = (update) => {
+    if (canAccessProject(userStore.get(req.user.username), update.project)) {
+      send('datasets', update);
+    }
+  };
+  
+  liveUpdates.on('datasets', onDatasets);
+});
+
+app.get('/api/datasets/:project', requireAuth, requireProjectAccess(), async (req, res) => {
+  const project = projectRegistry.getProject(req.params.project);
+  
+  if (!project) {
+    return res.status(404).json({ error: 'Unknown project' });
+  }
   
   try {
-    const datasets = [];
+    const { list, etag } = await datasetIndex.get(project.id);
     
-    if (project === 'analysis') {
-      const analysisPath = path.join(__dirname, 'analysis');
-      
-      if (fs.existsSync(analysisPath)) {
-        const folders = fs.readdirSync(analysisPath)
-          .filter(file => fs.statSync(path.join(analysisPath, file)).isDirectory())
-          .sort((a, b) => parseInt(a) - parseInt(b));
-        
-        folders.forEach(folder => {
-          const folderPath = path.join(analysisPath, folder);
-          const files = fs.readdirSync(folderPath);
-          
-          // Filter out downsampled images (_2x suffix) from main image list
-          const imageFiles = files.filter(f => 
-            (f.toLowerCase().endsWith('.jpg') || f.toLowerCase().endsWith('.png')) &&
-            !f.includes('_2x.')
-          );
-          const ssiFile = files.find(f => f.startsWith('SSI_coeff_'));
-          
-          if (imageFiles.length >= 2) {
-            const sortedImages = imageFiles.filter(f => !f.startsWith('SSI_')).sort();
-            
-            // Check if this dataset has vegetation filter support
-            const hasVegFilterSupport = detectVegetationFilterSupport(folderPath);
-            
-            // Check if SSI file has vegetation filter variant
-            const ssiHasVegFilter = ssiFile ? hasVegetationFilter(`analysis/${folder}`, ssiFile) : false;
-            
-            // Generate URLs for both full and downsampled versions
-            const preEventUrls = generateImageUrls(`analysis/${folder}`, sortedImages[0]);
-            const postEventUrls = generateImageUrls(`analysis/${folder}`, sortedImages[1]);
-            
-            // Generate change detection URLs with vegetation filter support
-            const changeDetectionUrls = ssiFile ? generateImageUrls(`analysis/${folder}`, ssiFile, ssiHasVegFilter) : null;
-            
-            datasets.push({
-              id: folder,
-              preEvent: preEventUrls,
-              postEvent: postEventUrls,
-              changeDetection: changeDetectionUrls,
-              hasVegetationFilter: hasVegFilterSupport,
-              vegetationFilterAvailable: {
-                changeDetection: ssiHasVegFilter
-              }
-            });
-          }
-        });
-      }
-    } else if (project === 'coregistered') {
-      const coregisteredPath = path.join(__dirname, 'coregistered-only');
-      
-      if (fs.existsSync(coregisteredPath)) {
-        const folders = fs.readdirSync(coregisteredPath)
-          .filter(file => fs.statSync(path.join(coregisteredPath, file)).isDirectory())
-          .sort((a, b) => {
-            const aNum = parseInt(a);
-            const bNum = parseInt(b);
-            if (isNaN(aNum) || isNaN(bNum)) return a.localeCompare(b);
-            return aNum - bNum;
-          });
-        
-        folders.forEach(folder => {
-          const folderPath = path.join(coregisteredPath, folder);
-          const files = fs.readdirSync(folderPath)
-            .filter(f => 
-              (f.toLowerCase().endsWith('.jpg') || f.toLowerCase().endsWith('.png')) &&
-              !f.includes('_2x.')
-            );
-          
-          if (files.length >= 2) {
-            const sortedImages = files.sort();
-            
-            // Generate URLs for both full and downsampled versions
-            const preEventUrls = generateImageUrls(`coregistered-only/${folder}`, sortedImages[0]);
-            const postEventUrls = generateImageUrls(`coregistered-only/${folder}`, sortedImages[1]);
-            
-            datasets.push({
-              id: folder,
-              preEvent: preEventUrls,
-              postEvent: postEventUrls,
-              changeDetection: null
-            });
-          }
-        });
-      }
+    // Clients revalidate with If-None-Match; the index ETag changes whenever the list does
+    res.set({
+      'ETag': etag,
+      'Cache-Control': 'private, no-cache'
+    });
+    
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
     }
     
-    res.json(datasets);
+    res.json(list);
   } catch (error) {
-    console.error('Error reading datasets:', error);
+    req.log.error({ err: error }, 'Error reading datasets');
     res.status(500).json({ error: 'Failed to read datasets' });
   }
 });
 
-// Enhanced image serving route with resolution support
-app.get('/api/image/:folder/:subfolder/:filename', requireAuth, async (req, res) => {
-  const { folder, subfolder, filename } = req.params;
-  const { resolution } = req.query;
+// Dataset images: /api/image/<dataRoot>/<folder>/[no_veg_filter/]<filename>, as listed by
+// /api/datasets. ?resolution=2x (or downsampled) serves the _2x version of any image, and
+// vegetation-filtered images fall back to the unfiltered version when missing.
+app.get('/api/image/*imagePath', requireAuth, async (req, res) => {
+  try {
+    let resolved = await resolveUserImage(req, req.params.imagePath, req.query.resolution);
+    if (!resolved.error && !isDerivedImage(resolved.fullPath) && !can(req.user, 'fullResolution', resolved.project.id)) {
+      resolved = FULL_RESOLUTION_DENIED; // Original files; _2x versions only need 'view'
+    }
+    
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    if (resolved.fallback) {
+      req.log.warn({ event: 'vegetation_filter_fallback', image: req.params.imagePath.join('/') },
+        'Vegetation filter image not found, serving the unfiltered version');
+    }
+    
+    await serveOptimizedImage(req, res, resolved.fullPath);
+  } catch (error) {
+    req.log.error({ err: error }, 'Error resolving image');
+    res.status(500).json({ error: 'Failed to access image' });
+  }
+});
+
+// Gallery thumbnails for dataset images: the <name>_thumb.jpg written by
+// create-downsampled-images.js, or, until the script has run, a resized copy of
+// the image from the variant cache
+app.get('/api/thumbnail/*imagePath', requireAuth, async (req, res) => {
+  try {
+    const resolved = await resolveUserImage(req, req.params.imagePath);
+    
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    
+    const { fullPath } = resolved;
+    const thumbnailPath = path.join(path.dirname(fullPath), getThumbnailFilename(path.basename(fullPath)));
+    if (fs.existsSync(thumbnailPath)) {
+      return await serveOptimizedImage(req, res, thumbnailPath);
+    }
+    
+    // Resize the _2x version where there is one; it is much quicker to decode
+    const downsampled = await resolveImage(req.params.imagePath, '2x');
+    const sourcePath = fs.existsSync(downsampled.fullPath) ? downsampled.fullPath : fullPath;
+    const stats = await fs.promises.stat(sourcePath);
+    const { variant, negotiated } = resolveVariant(
+      { w: String(THUMBNAIL_SIZE), h: String(THUMBNAIL_SIZE) }, req.headers.accept, getMimeType(sourcePath)
+    );
+    
+    if (!variant) {
+      return await serveOptimizedImage(req, res, sourcePath); // Formats sharp does not resize, e.g. GIF
+    }
+    await serveImageVariant(req, res, sourcePath, stats, variant, negotiated);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    req.log.error({ err: error }, 'Error serving thumbnail');
+    res.status(500).json({ error: 'Failed to serve thumbnail' });
+  }
+});
+
+// ZIP download of one or more datasets' acquisitions and change maps plus a manifest.json:
+// ?ids=3,7,12 picks the datasets, ?variant=full (default), 2x or vegFilter the files
+app.get('/api/download/:project', requireAuth, requireProjectAccess(), async (req, res) => {
+  const project = projectRegistry.getProject(req.params.project);
+  
+  if (!project) {
+    return res.status(404).json({ error: 'Unknown project' });
+  }
+  
+  const variant = req.query.variant || 'full';
+  if (!ARCHIVE_VARIANTS.includes(variant)) {
+    return res.status(400).json({ error: `variant must be one of ${ARCHIVE_VARIANTS.join(', ')}` });
+  }
+  if (variant === 'vegFilter' && !project.layers.vegetationFilter) {
+    return res.status(400).json({ error: 'Project has no vegetation-filtered change maps' });
+  }
+  if (variant !== '2x' && !can(req.user, 'fullResolution', project.id)) {
+    return res.status(FULL_RESOLUTION_DENIED.status).json({ error: FULL_RESOLUTION_DENIED.error });
+  }
   
-  let actualFilename = filename;
+  const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'ids must list at least one dataset' });
+  }
   
-  // If downsampled version is requested, modify filename
-  if (resolution === 'downsampled' || resolution === '2x') {
-    const ext = path.extname(filename);
-    const base = path.basename(filename, ext);
+  try {
+    const state = await datasetIndex.get(project.id);
+    const unknown = ids.filter(id => !state.datasets.has(id));
+    if (unknown.length) {
+      return res.status(404).json({ error: 'Unknown datasets', datasets: unknown });
+    }
     
-    // Check if it already has _2x suffix (direct access)
-    if (!base.endsWith('_2x')) {
-      actualFilename = `${base}_2x${ext}`;
+    const name = ids.length === 1 ? ids[0] : `${ids.length}-pairs`;
+    await streamDatasetArchive(req, res, {
+      project,
+      datasets: ids.map(id => state.datasets.get(id)),
+      variant,
+      resolveImage,
+      filename: `${project.id}-${name}${variant === 'full' ? '' : `-${variant}`}.zip`.replace(/[^\w.-]/g, '_')
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Error creating download');
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create download' });
     }
   }
-  
-  const imagePath = path.join(folder, subfolder, actualFilename);
-  await serveOptimizedImage(req, res, imagePath);
 });
 
-// Route for vegetation filter images (no_veg_filter subdirectory)
-app.get('/api/image/:folder/:subfolder/no_veg_filter/:filename', requireAuth, async (req, res) => {
-  const { folder, subfolder, filename } = req.params;
-  const { resolution } = req.query;
+// Upload a new dataset (multipart: pre, post and optional ssi/ssiVegFilter images, plus
+// optional dataset, preDate and postDate fields). The images are checked with sharp and
+// written with their _2x versions and thumbnails into a new folder of the data root.
+app.post('/api/upload/:project', requireManager, requireProjectAccess('manage'), (req, res, next) => {
+  req.project = projectRegistry.getProject(req.params.project);
+  if (!req.project) {
+    return res.status(404).json({ error: 'Unknown project' });
+  }
   
-  let actualFilename = filename;
+  upload.fields(UPLOAD_FIELDS)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    next(error);
+  });
+}, async (req, res) => {
+  const files = req.files || {};
   
-  // If downsampled version is requested, modify filename
-  if (resolution === 'downsampled' || resolution === '2x') {
-    const ext = path.extname(filename);
-    const base = path.basename(filename, ext);
+  try {
+    const result = await createUploadedDataset({
+      project: req.project,
+      rootPath: datasetIndex.rootPath(req.project),
+      stagingRoot: uploadDirectory,
+      files,
+      fields: req.body || {}
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
     
-    // Check if it already has _2x suffix (direct access)
-    if (!base.endsWith('_2x')) {
-      actualFilename = `${base}_2x${ext}`;
+    await datasetIndex.get(req.project.id); // Add to the full index, not one still being built
+    await datasetIndex.refresh(req.project, [result.dataset]);
+    req.log.info({ project: req.project.id, dataset: result.dataset, files: result.files }, 'Dataset uploaded');
+    res.status(201).json({ project: req.project.id, ...result });
+  } catch (error) {
+    req.log.error({ err: error }, 'Error storing upload');
+    res.status(500).json({ error: 'Failed to store upload' });
+  } finally {
+    // Temporary files are moved into the dataset on success; drop whatever is left
+    const leftovers = Object.values(files).flat().map(file => fs.promises.rm(file.path, { force: true }));
+    await Promise.all(leftovers);
+  }
+});
+
+// Background jobs: list, start ({ type: 'derivatives', project, dataset?, force?, thumbnails? })
+// and cancel. Progress is pushed to the jobs page through /api/jobs/events. Users only
+// see and control the jobs of projects they may manage.
+const canManageJob = (user, job) => can(user, 'manage', job.params.project);
+
+app.get('/api/jobs', requireManager, (req, res) => {
+  res.json(jobQueue.list().filter(job => canManageJob(req.user, job)));
+});
+
+app.get('/api/jobs/events', requireManager, (req, res) => {
+  const send = openEventStream(req, res, () => jobQueue.off('job', onJob));
+  const onJob = (job) => {
+    if (canManageJob(userStore.get(req.user.username), job)) {
+      send('job', job);
     }
+  };
+  
+  send('jobs', jobQueue.list().filter(job => canManageJob(req.user, job)));
+  jobQueue.on('job', onJob);
+});
+
+app.post('/api/jobs', requireManager, async (req, res) => {
+  const { type = 'derivatives', dataset, force, thumbnails } = req.body || {};
+  if (!jobQueue.hasType(type)) {
+    return res.status(400).json({ error: 'Unknown job type' });
   }
   
-  const imagePath = path.join(folder, subfolder, 'no_veg_filter', actualFilename);
+  const project = projectRegistry.getProject(req.body.project);
+  if (!project || !can(req.user, 'manage', project.id)) {
+    return res.status(400).json({ error: 'Unknown project' });
+  }
   
-  // Check if the vegetation filter version exists, fallback to normal version if not
-  const fullVegFilterPath = path.resolve(__dirname, imagePath);
-  const normalImagePath = path.join(folder, subfolder, actualFilename);
+  try {
+    if (dataset !== undefined && dataset !== null && dataset !== '') {
+      const state = await datasetIndex.get(project.id);
+      if (typeof dataset !== 'string' || !state.datasets.has(dataset)) {
+        return res.status(404).json({ error: 'Unknown dataset' });
+      }
+    }
+    
+    // Two jobs writing the same project's derivatives would overwrite each other's files
+    const active = jobQueue.list().find(job => job.params.project === project.id &&
+      ['queued', 'running', 'cancelling'].includes(job.status));
+    if (active) {
+      return res.status(409).json({ error: `Job ${active.id} is already processing this project`, job: active });
+    }
+    
+    const job = jobQueue.enqueue(type, {
+      project: project.id,
+      dataset: dataset || null,
+      force: Boolean(force),
+      thumbnails: thumbnails !== false
+    }, { createdBy: req.user.username });
+    res.status(202).json(job);
+  } catch (error) {
+    req.log.error({ err: error }, 'Error starting job');
+    res.status(500).json({ error: 'Failed to start job' });
+  }
+});
+
+app.delete('/api/jobs/:id', requireManager, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canManageJob(req.user, job)) {
+    return res.status(404).json({ error: 'Unknown job' });
+  }
+  res.json(jobQueue.cancel(job.id));
+});
+
+// IPs and usernames currently locked out or backed off after failed logins; admins can
+// lift them early (DELETE /api/lockouts/ip/<address> or /api/lockouts/user/<name>)
+app.get('/api/lockouts', requireAdmin, (req, res) => {
+  res.json(loginThrottle.list());
+});
+
+app.delete('/api/lockouts/:type/:id', requireAdmin, (req, res) => {
+  if (!loginThrottle.clear(req.params.type, req.params.id)) {
+    return res.status(404).json({ error: 'Not locked out' });
+  }
+  req.log.info({ event: 'login_lockout_cleared', type: req.params.type, id: req.params.id, user: req.user.username }, 'Login lockout lifted');
+  res.json({ success: true });
+});
+
+// Logged-in sessions, most recently active first; admins can revoke one, which logs its
+// browser out on its next request (DELETE /api/sessions/<id>)
+app.get('/api/sessions', requireAdmin, async (req, res, next) => {
+  try {
+    const currentId = FileSessionStore.idFor(req.sessionID);
+    const sessions = (await sessionStore.list())
+      .filter(({ session: stored }) => stored.authenticated)
+      .map(({ id, expires, lastSeen, session: stored }) => ({
+        id,
+        username: stored.username,
+        ip: stored.ip || null,
+        userAgent: stored.userAgent || null,
+        loginAt: stored.loginAt || null,
+        lastSeen,
+        expiresAt: new Date(expires).toISOString(),
+        current: id === currentId
+      }))
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    res.json(sessions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/sessions/:id', requireAdmin, async (req, res, next) => {
+  let revoked;
+  try {
+    revoked = (await sessionStore.list()).find(stored => stored.id === req.params.id);
+    if (!revoked || !await sessionStore.revoke(revoked.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+  } catch (error) {
+    return next(error);
+  }
+  req.log.info({ event: 'session_revoked', session: revoked.id, sessionUser: revoked.session.username || null, user: req.user.username }, 'Session revoked');
+  res.json({ success: true });
+});
+
+// Image properties (dimensions, pixel format, EXIF capture time, camera and GPS) for any served image
+app.get('/api/image-info/*imagePath', requireAuth, async (req, res) => {
+  try {
+    const resolved = await resolveUserImage(req, req.params.imagePath, req.query.resolution);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    
+    res.json(await readImageInfo(resolved.fullPath));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    req.log.error({ err: error }, 'Error reading image properties');
+    res.status(500).json({ error: 'Failed to read image properties' });
+  }
+});
+
+// Index of the change map shown as a dataset's overall Change Detection layer
+const overallChangeMapIndex = (dataset) =>
+  dataset.changeMaps.findIndex(map => map.urls.full === dataset.changeDetection?.full);
+
+// Path of a change map on disk, optionally its vegetation-filtered (no_veg_filter) version
+const changeMapPath = (project, dataset, changeMap, useVegFilter = false) =>
+  path.join(config.dataDir, project.dataRoot, dataset.id, ...(useVegFilter ? ['no_veg_filter'] : []), changeMap.filename);
+
+// SSI statistics for one of a dataset's change maps: histogram, mean/median and the
+// fraction of pixels below each threshold. ?map= picks a change map (default: the
+// one shown as Change Detection), ?variant=vegFilter uses the no_veg_filter version,
+// ?thresholds=0.2,0.4 overrides the project's thresholds.
+app.get('/api/change-stats/:project/:dataset', requireAuth, requireProjectAccess(), async (req, res) => {
+  const project = projectRegistry.getProject(req.params.project);
+  
+  if (!project) {
+    return res.status(404).json({ error: 'Unknown project' });
+  }
   
   try {
-    await fs.promises.access(fullVegFilterPath);
-    await serveOptimizedImage(req, res, imagePath);
+    const state = await datasetIndex.get(project.id);
+    const dataset = state && state.datasets.get(req.params.dataset);
+    if (!dataset) {
+      return res.status(404).json({ error: 'Unknown dataset' });
+    }
+    
+    const mapIndex = req.query.map === undefined
+      ? overallChangeMapIndex(dataset)
+      : parseInt(req.query.map, 10);
+    const changeMap = dataset.changeMaps[mapIndex];
+    if (!changeMap) {
+      return res.status(404).json({ error: 'Dataset has no such change map' });
+    }
+    
+    const useVegFilter = req.query.variant === 'vegFilter';
+    if (useVegFilter && !changeMap.urls.vegFilter) {
+      return res.status(404).json({ error: 'No vegetation-filtered variant for this change map' });
+    }
+    
+    let thresholds = project.stats.thresholds;
+    if (req.query.thresholds !== undefined) {
+      thresholds = String(req.query.thresholds).split(',').map(Number);
+      if (thresholds.some(value => !Number.isFinite(value))) {
+        return res.status(400).json({ error: 'thresholds must be a comma-separated list of numbers' });
+      }
+    }
+    
+    const histogram = await readChangeHistogram(changeMapPath(project, dataset, changeMap, useVegFilter));
+    
+    res.set('Cache-Control', 'private, no-cache');
+    res.json({
+      project: project.id,
+      dataset: dataset.id,
+      map: { index: mapIndex, from: changeMap.from, to: changeMap.to, filename: changeMap.filename },
+      variant: useVegFilter ? 'vegFilter' : 'default',
+      ...summarizeHistogram(histogram, { ...project.stats, thresholds })
+    });
   } catch (error) {
     if (error.code === 'ENOENT') {
-      console.warn(`Vegetation filter image not found: ${imagePath}, falling back to normal version`);
-      await serveOptimizedImage(req, res, normalImagePath);
-    } else {
-      console.error('Error accessing vegetation filter image:', error);
-      res.status(500).json({ error: 'Failed to access image' });
+      return res.status(404).json({ error: 'Change map not found' });
+    }
+    req.log.error({ err: error }, 'Error computing change statistics');
+    res.status(500).json({ error: 'Failed to compute change statistics' });
+  }
+});
+
+// Change score of every dataset in a project, for sorting and filtering by change
+// magnitude: the fraction of pixels below stats.scoreThreshold on the overall change
+// map (the vegetation-filtered version where available). Maps are read one at a time;
+// histograms are cached, so only new or modified maps are decoded again.
+app.get('/api/change-scores/:project', requireAuth, requireProjectAccess(), async (req, res) => {
+  const project = projectRegistry.getProject(req.params.project);
+  
+  if (!project || !project.layers.ssiMap) {
+    return res.status(404).json({ error: 'Unknown project or no SSI maps' });
+  }
+  
+  try {
+    const state = await datasetIndex.get(project.id);
+    const scores = {};
+    for (const dataset of state.list) {
+      const changeMap = dataset.changeMaps[overallChangeMapIndex(dataset)];
+      scores[dataset.id] = null;
+      if (!changeMap) continue;
+      
+      try {
+        const histogram = await readChangeHistogram(
+          changeMapPath(project, dataset, changeMap, Boolean(changeMap.urls.vegFilter)));
+        scores[dataset.id] = changeScore(histogram, project.stats);
+      } catch (error) {
+        req.log.warn({ project: project.id, dataset: dataset.id, err: error }, 'Could not score change map');
+      }
     }
+    
+    res.set('Cache-Control', 'private, no-cache');
+    res.json({
+      project: project.id,
+      threshold: project.stats.scoreThreshold,
+      scores
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Error computing change scores');
+    res.status(500).json({ error: 'Failed to compute change scores' });
   }
 });
 
-// Route for co-registered images in results folder (enhanced with resolution support)
-app.get('/api/image/:folder/:subfolder/:subsubfolder/:filename', requireAuth, async (req, res) => {
-  const { folder, subfolder, subsubfolder, filename } = req.params;
-  const { resolution } = req.query;
+// Difference image computed from two acquisitions of a dataset (projects with the differenceMap layer)
+app.get('/api/difference/:project/:folder', requireAuth, requireProjectAccess(), async (req, res) => {
+  const project = projectRegistry.getProject(req.params.project);
+  
+  if (!project || !project.layers.differenceMap) {
+    return res.status(404).json({ error: 'Unknown project or no difference layer' });
+  }
   
-  let actualFilename = filename;
+  const { pre, post, resolution } = req.query;
+  const dataRoot = path.resolve(config.dataDir, project.dataRoot);
+  const folderPath = path.resolve(dataRoot, req.params.folder);
+  const isImageName = (name) => typeof name === 'string' && name === path.basename(name) &&
+    project.pairing.imageExtensions.includes(path.extname(name).toLowerCase());
   
-  // If downsampled version is requested, modify filename
-  if (resolution === 'downsampled' || resolution === '2x') {
-    const ext = path.extname(filename);
-    const base = path.basename(filename, ext);
+  // Only plain image filenames inside a direct sub-folder of the project's data root
+  if (path.dirname(folderPath) !== dataRoot || !isImageName(pre) || !isImageName(post)) {
+    return res.status(400).json({ error: 'Invalid image pair' });
+  }
+  
+  try {
+    const prePath = path.join(folderPath, pre);
+    const postPath = path.join(folderPath, post);
+    const [preStats, postStats] = await Promise.all([fs.promises.stat(prePath), fs.promises.stat(postPath)]);
+    const downsampled = resolution === 'downsampled' || resolution === '2x';
+    if (!downsampled && !can(req.user, 'fullResolution', project.id)) {
+      return res.status(FULL_RESOLUTION_DENIED.status).json({ error: FULL_RESOLUTION_DENIED.error });
+    }
+    
+    const file = differenceCacheFilename(
+      { path: prePath, stats: preStats },
+      { path: postPath, stats: postStats },
+      { mode: project.layers.differenceMap, downsampled }
+    );
+    const etag = `"${path.basename(file, '.jpeg')}"`;
+    const mtime = preStats.mtime > postStats.mtime ? preStats.mtime : postStats.mtime;
     
-    // Check if it already has _2x suffix (direct access)
-    if (!base.endsWith('_2x')) {
-      actualFilename = `${base}_2x${ext}`;
+    res.set(getImageHeaders('image/jpeg', { mtime }, etag));
+    res.set('Accept-Ranges', 'none');
+    
+    if (isNotModified(req, etag, mtime)) {
+      return res.status(304).end();
     }
+    
+    // Stored alongside resized variants so the same size limit applies
+    const cached = await imageVariantCache.getOrGenerate(file, 'image/jpeg', (outputPath) =>
+      writeDifferenceImage(prePath, postPath, outputPath, { mode: project.layers.differenceMap, downsampled })
+    );
+    res.set('Content-Length', cached.size.toString());
+    
+    res.sendFile(cached.path, { dotfiles: 'allow' }, (err) => {
+      if (err) {
+        req.log.error({ err }, 'SendFile error');
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Failed to serve file' });
+        }
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    req.log.error({ err: error }, 'Error generating difference image');
+    res.status(500).json({ error: 'Failed to generate difference image' });
   }
+});
+
+// Deep-zoom descriptor for an image; builds its tile pyramid on first request
+app.get('/api/tile-info/*imagePath', requireAuth, async (req, res) => {
+  const segments = req.params.imagePath;
   
-  const imagePath = path.join(folder, subfolder, subsubfolder, actualFilename);
-  await serveOptimizedImage(req, res, imagePath);
+  try {
+    const resolved = await resolveUserImage(req, segments, undefined, 'fullResolution');
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    
+    const fullPath = resolved.fullPath;
+    const stats = await fs.promises.stat(fullPath);
+    const { descriptor } = await tilePyramidCache.get(fullPath, stats);
+    const imagePath = segments.map(encodeURIComponent).join('/');
+    
+    res.set('Cache-Control', 'private, no-cache');
+    res.json({
+      width: descriptor.width,
+      height: descriptor.height,
+      tileSize: descriptor.tileSize,
+      overlap: descriptor.overlap,
+      maxLevel: descriptor.maxLevel,
+      format: descriptor.format,
+      tileUrl: `/api/tiles/{level}/{col}_{row}/${imagePath}?v=${stats.mtime.getTime()}`
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    req.log.error({ err: error }, 'Error building tile pyramid');
+    res.status(500).json({ error: 'Failed to build tile pyramid' });
+  }
+});
+
+// Single deep-zoom tile; the ?v= source version in tile URLs makes them safe to cache long-term
+app.get('/api/tiles/:level/:tile/*imagePath', requireAuth, async (req, res) => {
+  const level = parseInt(req.params.level, 10);
+  const position = /^(\d+)_(\d+)$/.exec(req.params.tile);
+  
+  if (Number.isNaN(level) || !position) {
+    return res.status(400).json({ error: 'Invalid tile address' });
+  }
+  
+  try {
+    const resolved = await resolveUserImage(req, req.params.imagePath, undefined, 'fullResolution');
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    
+    const fullPath = resolved.fullPath;
+    const stats = await fs.promises.stat(fullPath);
+    const { name } = await tilePyramidCache.get(fullPath, stats);
+    const tilePath = tilePyramidCache.tilePath(name, level, parseInt(position[1], 10), parseInt(position[2], 10));
+    
+    if (!tilePath) {
+      return res.status(404).json({ error: 'Tile not found' });
+    }
+    
+    res.sendFile(tilePath, {
+      dotfiles: 'allow',
+      maxAge: '7d',
+      immutable: true
+    }, (err) => {
+      if (err && !res.headersSent) {
+        req.log.error({ err }, 'Tile send error');
+        res.status(err.status || 500).json({ error: 'Failed to serve tile' });
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    req.log.error({ err: error }, 'Error serving tile');
+    res.status(500).json({ error: 'Failed to serve tile' });
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
+app.listen(config.port, config.bindAddress, () => {
+  logger.info({ port: config.port, address: config.bindAddress, env: config.env }, `Server running at http://localhost:${config.port}`);
 });
\ No newline at end of file
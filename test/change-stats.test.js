@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { readChangeHistogram, changeScore } = require('../lib/change-stats');
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'change-stats-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// A one-row PNG from per-pixel [grey] or [grey, alpha] values, written as `channels`
+// channels (1 grey, 2 grey + alpha, 3 RGB, 4 RGBA)
+const writeMap = async (name, pixels, channels) => {
+  const data = Buffer.alloc(pixels.length * channels);
+  pixels.forEach(([grey, alpha = 255], index) => {
+    const colour = channels >= 3 ? [grey, grey, grey] : [grey];
+    const values = channels === 2 || channels === 4 ? [...colour, alpha] : colour;
+    data.set(values, index * channels);
+  });
+  const file = path.join(directory, name);
+  await sharp(data, { raw: { width: pixels.length, height: 1, channels } }).png().toFile(file);
+  return file;
+};
+
+const repeat = (count, pixel) => Array.from({ length: count }, () => pixel);
+
+test('counts black pixels next to white ones as values, not as masked', async () => {
+  const file = await writeMap('half.png', [...repeat(50, [0]), ...repeat(50, [255])], 3);
+  const histogram = await readChangeHistogram(file);
+
+  assert.equal(histogram.masked, 0);
+  assert.equal(histogram.counts[0], 50);
+  assert.equal(histogram.counts[255], 50);
+  assert.equal(histogram.counts.reduce((sum, count) => sum + count, 0), 100);
+});
+
+for (const channels of [2, 4]) {
+  test(`leaves transparent pixels out of the counts (${channels} channels)`, async () => {
+    const pixels = [...repeat(3, [0, 0]), ...repeat(2, [0]), ...repeat(4, [200]), [200, 0]];
+    const file = await writeMap(`masked-${channels}.png`, pixels, channels);
+    const histogram = await readChangeHistogram(file);
+
+    assert.equal(histogram.masked, 4);
+    assert.equal(histogram.counts[0], 2);
+    assert.equal(histogram.counts[200], 4);
+    assert.deepEqual([histogram.width, histogram.height], [10, 1]);
+  });
+}
+
+// The scores /api/change-scores returns for each dataset's overall change map
+test('change scores rank maps by their share of low-similarity pixels', async () => {
+  const stats = { valueRange: [0, 1], scoreThreshold: 0.5 };
+  const maps = {
+    unchanged: [...repeat(10, [255])],
+    someChange: [...repeat(3, [0]), ...repeat(7, [255])],
+    mostlyChanged: [...repeat(8, [50]), ...repeat(2, [255])],
+    // The masked half does not count, so 2 of the 5 visible pixels are changed
+    halfMasked: [...repeat(5, [0, 0]), ...repeat(2, [0]), ...repeat(3, [255])],
+    fullyMasked: [...repeat(10, [0, 0])]
+  };
+
+  const scores = {};
+  for (const [name, pixels] of Object.entries(maps)) {
+    const file = await writeMap(`${name}.png`, pixels, 2);
+    scores[name] = changeScore(await readChangeHistogram(file), stats);
+  }
+
+  assert.deepEqual(scores, { unchanged: 0, someChange: 0.3, mostlyChanged: 0.8, halfMasked: 0.4, fullyMasked: null });
+  const ranked = Object.keys(scores)
+    .filter(name => scores[name] !== null)
+    .sort((a, b) => scores[b] - scores[a]);
+  assert.deepEqual(ranked, ['mostlyChanged', 'halfMasked', 'someChange', 'unchanged']);
+});
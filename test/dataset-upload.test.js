@@ -0,0 +1,72 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createUploadedDataset } = require('../lib/dataset-upload');
+
+const project = {
+  pairing: { folderSort: 'numeric', imageExtensions: ['.jpg'], changeMapPrefix: null, prePattern: null, postPattern: null },
+  layers: { ssiMap: false, vegetationFilter: false, differenceMap: false }
+};
+
+let directory;
+let rootPath;
+let stagingRoot;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-upload-'));
+  rootPath = path.join(directory, 'data');
+  stagingRoot = path.join(directory, 'staging');
+  fs.mkdirSync(path.join(rootPath, '1'), { recursive: true });
+  fs.mkdirSync(stagingRoot);
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Multer's files for one upload: a pre and a post image
+let uploadCount = 0;
+const uploadedFiles = async () => {
+  const files = {};
+  for (const fieldname of ['pre', 'post']) {
+    const filePath = path.join(stagingRoot, `multer-${++uploadCount}`);
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).jpeg().toFile(filePath);
+    files[fieldname] = [{ fieldname, originalname: `${fieldname}.jpg`, path: filePath, size: fs.statSync(filePath).size }];
+  }
+  return files;
+};
+
+const upload = async (fields = {}) => createUploadedDataset({
+  project,
+  rootPath,
+  stagingRoot,
+  files: await uploadedFiles(),
+  fields: { preDate: '2024-01-01', postDate: '2024-02-01', ...fields }
+});
+
+test('concurrent uploads get a numbered folder each', async () => {
+  const results = await Promise.all([upload(), upload(), upload()]);
+
+  assert.deepEqual(results.map(result => result.dataset).sort(), ['2', '3', '4']);
+  for (const folder of ['2', '3', '4']) {
+    assert.ok(fs.readdirSync(path.join(rootPath, folder)).includes('pre.jpg'));
+  }
+});
+
+test('refuses a requested folder that exists, even while it is being uploaded', async () => {
+  const results = await Promise.all([upload({ dataset: 'extra' }), upload({ dataset: 'extra' })]);
+
+  assert.deepEqual(results.map(result => result.status || 201).sort(), [201, 409]);
+  assert.equal((await upload({ dataset: '1' })).status, 409);
+  assert.deepEqual(fs.readdirSync(path.join(rootPath, '1')), []);
+});
+
+test('a refused upload gives its folder back', async () => {
+  const result = await upload({ preDate: '2024-03-01' });
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(fs.readdirSync(rootPath), ['1']);
+});
@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DiskCache } = require('../lib/disk-cache');
+
+// Entries are plain files whose size is their length
+class TextCache extends DiskCache {
+  async restore(name, filePath) {
+    return { size: (await fs.promises.stat(filePath)).size, lastUsed: 0 };
+  }
+
+  add(name, text) {
+    return this.getOrCreate(name, async () => {
+      await fs.promises.writeFile(path.join(this.directory, name), text);
+      return { size: text.length, value: text };
+    });
+  }
+}
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-cache-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('evicts the least recently used entries once over maxBytes', async () => {
+  const cache = new TextCache({ directory, maxBytes: 10, description: 'text' });
+  await cache.add('a', 'aaaa');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await cache.add('b', 'bbbb');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  cache.use('a');
+  await cache.add('c', 'cccc');
+
+  assert.deepEqual([...cache.entries.keys()].sort(), ['a', 'c']);
+  assert.deepEqual(fs.readdirSync(directory).sort(), ['a', 'c']);
+  assert.equal(cache.totalBytes, 8);
+});
+
+test('keeps an entry just created even if it alone is over maxBytes', async () => {
+  const cache = new TextCache({ directory, maxBytes: 2, description: 'text' });
+  await cache.add('a', 'aaaa');
+
+  assert.deepEqual(fs.readdirSync(directory), ['a']);
+});
+
+test('shares one creation between concurrent requests', async () => {
+  const cache = new TextCache({ directory, maxBytes: 100, description: 'text' });
+  let creations = 0;
+  const create = async () => {
+    creations++;
+    return { size: 1, value: 'x' };
+  };
+
+  const results = await Promise.all([cache.getOrCreate('x', create), cache.getOrCreate('x', create)]);
+  assert.equal(creations, 1);
+  assert.deepEqual(results.map(result => result.value), ['x', 'x']);
+});
+
+test('takes back entries from a previous run and deletes temporary files', async () => {
+  fs.writeFileSync(path.join(directory, 'a'), 'aaaa');
+  fs.writeFileSync(path.join(directory, 'b.123.tmp'), 'half');
+  const cache = new TextCache({ directory, maxBytes: 100, description: 'text' });
+  await cache.init();
+
+  assert.deepEqual([...cache.entries.keys()], ['a']);
+  assert.equal(cache.totalBytes, 4);
+  assert.deepEqual(fs.readdirSync(directory), ['a']);
+});
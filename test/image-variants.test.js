@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { ImageVariantCache, resolveVariant } = require('../lib/image-variants');
+
+const ACCEPT_WEBP = 'image/webp,*/*';
+const WIDE = { width: 17000, height: 800 }; // Wider than WebP's 16383 px limit
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-variants-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('negotiates WebP for images that fit', () => {
+  const { variant, negotiated } = resolveVariant({}, ACCEPT_WEBP, 'image/jpeg', false, { width: 4000, height: 3000 });
+
+  assert.equal(negotiated, true);
+  assert.deepEqual(variant, { width: null, height: null, format: 'webp' });
+});
+
+test('serves images too large for WebP unchanged', () => {
+  const { variant, negotiated } = resolveVariant({}, ACCEPT_WEBP, 'image/jpeg', false, WIDE);
+
+  assert.equal(negotiated, true);
+  assert.equal(variant, null);
+});
+
+test('still negotiates WebP when the resized image fits', () => {
+  const { variant } = resolveVariant({ w: '2000' }, ACCEPT_WEBP, 'image/jpeg', false, WIDE);
+
+  assert.deepEqual(variant, { width: 2000, height: null, format: 'webp' });
+});
+
+test('keeps the source format for resized images too large for WebP', () => {
+  const { variant } = resolveVariant({ h: '790' }, ACCEPT_WEBP, 'image/jpeg', false, WIDE);
+
+  assert.deepEqual(variant, { width: null, height: 790, format: 'jpeg' });
+});
+
+test('refuses an explicit format the image is too large for', () => {
+  const { error } = resolveVariant({ format: 'webp' }, ACCEPT_WEBP, 'image/jpeg', false, WIDE);
+
+  assert.match(error, /webp images are at most 16383 pixels/);
+});
+
+test('failed generations reject and leave nothing in the cache', async () => {
+  const source = path.join(directory, 'wide.jpg');
+  await sharp({ create: { ...WIDE, channels: 3, background: '#808080' } }).jpeg().toFile(source);
+  const cache = new ImageVariantCache({ directory: path.join(directory, 'cache'), maxBytes: 1024 * 1024 });
+
+  await assert.rejects(cache.get(source, fs.statSync(source), { width: null, height: null, format: 'webp' }));
+  assert.deepEqual(fs.readdirSync(cache.directory), []);
+  assert.equal(cache.totalBytes, 0);
+});
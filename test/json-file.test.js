@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFileSync, writeJsonFile, writeJsonFileSync } = require('../lib/json-file');
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('reads a file again only once it changed', () => {
+  const file = path.join(directory, 'config', 'users.json');
+  assert.deepEqual(readJsonFileSync(file, null, 'users'), { changed: true, version: null, data: null });
+
+  const version = writeJsonFileSync(file, { users: [{ username: 'alice' }] });
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(readJsonFileSync(file, version, 'users'), { changed: false });
+
+  fs.writeFileSync(file, '{"users":[]}');
+  const read = readJsonFileSync(file, version, 'users');
+  assert.equal(read.changed, true);
+  assert.deepEqual(read.data, { users: [] });
+});
+
+test('names the file and its contents when it is not valid JSON', () => {
+  const file = path.join(directory, 'broken.json');
+  fs.writeFileSync(file, '{"tokens": [');
+
+  assert.throws(() => readJsonFileSync(file, null, 'API tokens'), /^Error: Failed to read API tokens from .*broken\.json/);
+});
+
+test('leaves no temporary files behind', async () => {
+  const sessions = path.join(directory, 'sessions');
+  fs.mkdirSync(sessions);
+  await Promise.all([1, 2, 3].map(count => writeJsonFile(path.join(sessions, 'a.json'), { count })));
+
+  assert.deepEqual(fs.readdirSync(sessions), ['a.json']);
+  assert.ok([1, 2, 3].includes(JSON.parse(fs.readFileSync(path.join(sessions, 'a.json'), 'utf8')).count));
+});
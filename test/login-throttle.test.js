@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LoginThrottle } = require('../lib/login-throttle');
+
+const IP = '203.0.113.7';
+
+const createThrottle = (options = {}) => {
+  let time = 1000000;
+  const throttle = new LoginThrottle({ now: () => time, ...options });
+  throttle.advance = (ms) => { time += ms; };
+  return throttle;
+};
+
+test('parallel logins for different users from one IP are not held up', () => {
+  const throttle = createThrottle();
+
+  assert.equal(throttle.begin(IP, 'alice').retryAfterMs, 0);
+  assert.equal(throttle.begin(IP, 'bob').retryAfterMs, 0);
+  assert.equal(throttle.begin(IP, 'carol').retryAfterMs, 0);
+});
+
+test('parallel logins for the same user wait for the first one', () => {
+  const throttle = createThrottle();
+
+  assert.equal(throttle.begin(IP, 'alice').retryAfterMs, 0);
+  assert.equal(throttle.begin('198.51.100.1', 'Alice').retryAfterMs, 1000);
+  throttle.release(IP, 'alice');
+  assert.equal(throttle.begin('198.51.100.1', 'alice').retryAfterMs, 0);
+});
+
+test('failures back off the username and the IP', () => {
+  const throttle = createThrottle();
+
+  throttle.begin(IP, 'bob');
+  const failure = throttle.recordFailure(IP, 'bob');
+  assert.deepEqual(failure, { retryAfterMs: 1000, locked: false, lockedOut: [] });
+
+  assert.equal(throttle.begin(IP, 'alice').retryAfterMs, 1000);
+  assert.equal(throttle.check('198.51.100.1', 'bob').retryAfterMs, 1000);
+  assert.equal(throttle.begin('198.51.100.1', 'alice').retryAfterMs, 0);
+
+  throttle.advance(1000);
+  throttle.begin(IP, 'bob');
+  assert.equal(throttle.recordFailure(IP, 'bob').retryAfterMs, 2000);
+});
+
+test('an IP backs off across usernames', () => {
+  const throttle = createThrottle();
+
+  const waits = ['a', 'b', 'c', 'd'].map((name) => {
+    const failure = throttle.recordFailure(IP, name);
+    throttle.advance(failure.retryAfterMs);
+    return failure.retryAfterMs;
+  });
+  assert.deepEqual(waits, [1000, 2000, 4000, 8000]);
+});
+
+test('a username is locked out after maxFailures from any IP', () => {
+  const throttle = createThrottle({ maxFailures: 3, lockoutMs: 60000 });
+
+  let failure;
+  for (const ip of ['198.51.100.1', '198.51.100.2', '198.51.100.3']) {
+    throttle.advance(10000);
+    failure = throttle.recordFailure(ip, 'bob');
+  }
+  assert.deepEqual(failure.lockedOut, [{ type: 'user', id: 'bob', failures: 3 }]);
+  assert.deepEqual(throttle.check('198.51.100.4', 'bob'), { retryAfterMs: 60000, locked: true });
+  assert.equal(throttle.check('198.51.100.4', 'alice').retryAfterMs, 0);
+});
+
+test('an IP is locked out only after maxFailuresPerIp across usernames', () => {
+  const throttle = createThrottle({ maxFailuresPerIp: 4, lockoutMs: 60000 });
+
+  for (const name of ['a', 'b', 'c']) {
+    throttle.recordFailure(IP, name);
+  }
+  assert.equal(throttle.check(IP, 'alice').locked, false);
+
+  const failure = throttle.recordFailure(IP, 'd');
+  assert.deepEqual(failure.lockedOut, [{ type: 'ip', id: IP, failures: 4 }]);
+  assert.deepEqual(throttle.check(IP, 'alice'), { retryAfterMs: 60000, locked: true });
+  assert.equal(throttle.check('198.51.100.1', 'alice').retryAfterMs, 0);
+});
+
+test('a successful login clears the username but not the IP failures', () => {
+  const throttle = createThrottle({ maxFailuresPerIp: 2 });
+
+  throttle.recordFailure(IP, 'alice');
+  throttle.advance(1000);
+  throttle.begin(IP, 'alice');
+  throttle.recordSuccess(IP, 'alice');
+  assert.equal(throttle.check(IP, 'alice').retryAfterMs, 0);
+
+  assert.equal(throttle.recordFailure(IP, 'bob').lockedOut[0].type, 'ip');
+});